@@ -7,6 +7,8 @@
 var fs = require('fs');
 var yaml = require('js-yaml');
 var util = require('util');
+var P = require('bluebird');
+var errors = require('./lib/errors');
 
 // TODO: move to separate package!
 var spec = yaml.safeLoad(fs.readFileSync(__dirname + '/table.yaml'));
@@ -23,21 +25,39 @@ function RBCassandra (options) {
             createTable: this.createTable.bind(this),
             dropTable: this.dropTable.bind(this),
             getTableSchema: this.getTableSchema.bind(this),
+            rollbackTable: this.rollbackTable.bind(this),
+            listTables: this.listTables.bind(this),
             get: this.get.bind(this),
-            put: this.put.bind(this)
+            put: this.put.bind(this),
+            delete: this.delete.bind(this)
         }
     };
 }
 
 RBCassandra.prototype.createTable = function (rb, req) {
+    var self = this;
     var store = this.store;
     // XXX: decide on the interface
     req.body.table = req.params.table;
     var domain = req.params.domain;
+    var dryRun = req.query && req.query.dry_run !== undefined;
 
     // check if the domains table exists
-    return store.createTable(domain, req.body)
-    .then(function() {
+    return store.createTable(domain, req.body, { dryRun: dryRun })
+    .then(function(res) {
+        if (dryRun) {
+            // Validated, but nothing was changed
+            return {
+                status: 200,
+                body: {
+                    type: 'table_migration_plan',
+                    title: 'Steps needed to create or migrate the table.',
+                    domain: req.params.domain,
+                    table: req.params.table,
+                    steps: res.steps
+                }
+            };
+        }
         return {
             status: 201, // created
             body: {
@@ -49,27 +69,16 @@ RBCassandra.prototype.createTable = function (rb, req) {
         };
     })
     .catch(function(e) {
-        if (e.status >= 400) {
-            return {
-                status: e.status,
-                body: e.body
-            };
-        }
-        return {
-            status: 500,
-            body: {
-                type: 'table_creation_error',
-                title: 'Internal error while creating a table within the cassandra storage backend',
-                stack: e.stack,
-                err: e,
-                req: req
-            }
-        };
+        return self._errorResponse(e, req, {
+            type: 'table_creation_error',
+            title: 'Internal error while creating a table within the cassandra storage backend'
+        });
     });
 };
 
 // Query a table
 RBCassandra.prototype.get = function (rb, req) {
+    var self = this;
     var rp = req.params;
     if (!rp.rest && !req.body) {
         // Return the entire table
@@ -88,22 +97,20 @@ RBCassandra.prototype.get = function (rb, req) {
         };
     })
     .catch(function(e) {
-        return {
-            status: 500,
-            body: {
-                type: 'query_error',
-                title: 'Error in Cassandra table storage backend',
-                stack: e.stack,
-                err: e,
-                req: req
-            }
-        };
+        return self._errorResponse(e, req, {
+            type: 'query_error',
+            title: 'Error in Cassandra table storage backend'
+        });
     });
 };
 
 // Update a table
 RBCassandra.prototype.put = function (rb, req) {
+    var self = this;
     var domain = req.params.domain;
+    if (req.body && Array.isArray(req.body.items)) {
+        return this.batchPut(rb, req);
+    }
     // XXX: Use the path to determine the primary key?
     return this.store.put(domain, req.body)
     .then(function(res) {
@@ -112,44 +119,93 @@ RBCassandra.prototype.put = function (rb, req) {
         };
     })
     .catch(function(e) {
+        return self._errorResponse(e, req, {
+            type: 'update_error',
+            title: 'Internal error in Cassandra table storage backend'
+        });
+    });
+};
+
+// Write several items in one request. Returns the status of each item.
+RBCassandra.prototype.batchPut = function (rb, req) {
+    var self = this;
+    var domain = req.params.domain;
+    req.body.table = req.params.table;
+    return P.try(function() {
+        return self.store.putBatch(domain, req.body);
+    })
+    .then(function(res) {
         return {
-            status: 500,
-            body: {
-                type: 'update_error',
-                title: 'Internal error in Cassandra table storage backend',
-                stack: e.stack,
-                err: e,
-                req: req
-            }
+            status: 200,
+            body: res
         };
+    })
+    .catch(function(e) {
+        return self._errorResponse(e, req, {
+            type: 'update_error',
+            title: 'Internal error in Cassandra table storage backend'
+        });
     });
 };
 
-RBCassandra.prototype.dropTable = function (rb, req) {
-    var domain = req.params.domain;
-    return this.store.dropTable(domain, req.params.table)
+// Delete an item
+RBCassandra.prototype.delete = function (rb, req) {
+    var self = this;
+    var rp = req.params;
+    var domain = rp.domain;
+    var query = req.body || {};
+    query.table = rp.table;
+    if (rp.rest) {
+        // Map the path segments to the primary key attributes
+        query.path = rp.rest.split('/');
+    }
+    return this.store.delete(domain, query)
     .then(function(res) {
         return {
             status: 204 // done
         };
     })
     .catch(function(e) {
+        return self._errorResponse(e, req, {
+            type: 'item_delete_error',
+            title: 'Internal error in Cassandra table storage backend'
+        });
+    });
+};
+
+RBCassandra.prototype.dropTable = function (rb, req) {
+    var self = this;
+    var domain = req.params.domain;
+    // Require the table name as an explicit confirmation, either in the
+    // query string or the body.
+    var confirm = (req.query && req.query.confirm)
+        || (req.body && req.body.confirm);
+    return this.store.dropTable(domain, req.params.table, confirm)
+    .then(function(res) {
         return {
-            status: 500,
-            body: {
-                type: 'delete_error',
-                title: 'Internal error in Cassandra table storage backend',
-                stack: e.stack,
-                err: e,
-                req: req
-            }
+            status: 204 // done
         };
+    })
+    .catch(function(e) {
+        return self._errorResponse(e, req, {
+            type: 'delete_error',
+            title: 'Internal error in Cassandra table storage backend'
+        });
     });
 };
 
+// Get the table schema. With ?history, list all schemas of the table; with
+// ?at=<tid or date>, get the schema that was active at that time.
 RBCassandra.prototype.getTableSchema = function (rb, req) {
+    var self = this;
     var domain = req.params.domain;
-    return this.store.getTableSchema(domain, req.params.table)
+    var query = req.query || {};
+    if (query.history !== undefined) {
+        return this.getSchemaHistory(rb, req);
+    }
+    return P.try(function() {
+        return self.store.getTableSchema(domain, req.params.table, query.at);
+    })
     .then(function(res) {
         return {
             status: 200,
@@ -158,19 +214,116 @@ RBCassandra.prototype.getTableSchema = function (rb, req) {
         };
     })
     .catch(function(e) {
+        return self._errorResponse(e, req, {
+            type: 'schema_query_error',
+            title: 'Internal error querying table schema in Cassandra storage backend'
+        });
+    });
+};
+
+RBCassandra.prototype.getSchemaHistory = function (rb, req) {
+    var self = this;
+    var domain = req.params.domain;
+    return this.store.getSchemaHistory(domain, req.params.table)
+    .then(function(history) {
+        return {
+            status: 200,
+            body: {
+                items: history.map(function(entry) {
+                    return {
+                        tid: entry.tid.toString(),
+                        version: entry.schema.version,
+                        schema: entry.schema
+                    };
+                })
+            }
+        };
+    })
+    .catch(function(e) {
+        return self._errorResponse(e, req, {
+            type: 'schema_query_error',
+            title: 'Internal error querying table schema in Cassandra storage backend'
+        });
+    });
+};
+
+// Roll the table back to the schema that was active at a tid or date
+RBCassandra.prototype.rollbackTable = function (rb, req) {
+    var self = this;
+    var domain = req.params.domain;
+    var at = (req.body && req.body.at) || (req.query && req.query.at);
+    return P.try(function() {
+        return self.store.rollbackTable(domain, req.params.table, at);
+    })
+    .then(function(res) {
         return {
-            status: 500,
+            status: 201,
             body: {
-                type: 'schema_query_error',
-                title: 'Internal error querying table schema in Cassandra storage backend',
-                stack: e.stack,
-                err: e,
-                req: req
+                type: 'table_rolled_back',
+                title: 'The table schema was rolled back.',
+                domain: domain,
+                table: req.params.table,
+                tid: res.tid.toString(),
+                version: res.version
             }
         };
+    })
+    .catch(function(e) {
+        return self._errorResponse(e, req, {
+            type: 'table_rollback_error',
+            title: 'Internal error while rolling back a table schema within the cassandra storage backend'
+        });
     });
 };
 
+// List the tables of a domain
+RBCassandra.prototype.listTables = function (rb, req) {
+    var self = this;
+    var domain = req.params.domain;
+    return this.store.listTables(domain)
+    .then(function(res) {
+        return {
+            status: 200,
+            body: res
+        };
+    })
+    .catch(function(e) {
+        return self._errorResponse(e, req, {
+            type: 'table_list_error',
+            title: 'Internal error listing tables in Cassandra storage backend'
+        });
+    });
+};
+
+/**
+ * Turn an error into an error response. Server-side errors are logged along
+ * with their stack; the response body never contains internals.
+ *
+ * @param {Error} e
+ * @param {object} req; the original request
+ * @param {object} defaults; type and title for unclassified errors
+ * @return {object} response
+ */
+RBCassandra.prototype._errorResponse = function (e, req, defaults) {
+    var response = errors.toResponse(e, defaults);
+    if (response.status >= 500) {
+        this.log('error/table/cassandra/' + defaults.type, {
+            message: e.message,
+            stack: e.stack,
+            err: e,
+            uri: req.uri,
+            method: req.method
+        });
+    } else if (errors.isDriverError(e)) {
+        this.log('warn/table/cassandra/' + defaults.type, {
+            message: e.message,
+            uri: req.uri,
+            method: req.method
+        });
+    }
+    return response;
+};
+
 /*
  * Setup / startup
  *
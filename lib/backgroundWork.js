@@ -0,0 +1,294 @@
+"use strict";
+
+var P = require('bluebird');
+var cass = require('cassandra-driver');
+var TimeUuid = cass.types.TimeUuid;
+var dbu = require('./dbutils');
+
+/*
+ * Durable background updates
+ *
+ * Writes to tables with secondary indexes or a retention policy are followed
+ * by background updates of the index entries and older revisions; See
+ * DB#_backgroundUpdates. To make sure the index updates eventually happen,
+ * each write to a table with secondary indexes adds an entry to the
+ * keyspace's 'work' table in the same batch. The entry is removed once the
+ * updates succeeded. Failed updates are retried with exponential backoff,
+ * and entries left behind by crashed or overloaded processes are picked up
+ * on startup.
+ *
+ * Writes to tables with only a retention policy don't add entries: Their
+ * logged batch and the removal's tombstone would cost more than the
+ * occasional missed expiry, which the next write to the item or a retention
+ * job (see DB#enforceRetention) catches up on.
+ */
+
+// Number of attempts before an entry is left to the next startup
+var defaultMaxAttempts = 5;
+// Delay before the first retry, in ms. Doubled for each further attempt.
+var defaultRetryDelay = 1000;
+var maxRetryDelay = 5 * 60 * 1000;
+// Entries younger than this are likely still being processed elsewhere
+var redriveAfter = 60 * 1000;
+// Retries and initial delay, in ms, of work table creations
+var createRetries = 5;
+var createRetryDelay = 100;
+
+function workTable(keyspace) {
+    return dbu.cassID(keyspace) + '.' + dbu.cassID('work');
+}
+
+// Key attributes are stored as JSON, and restored according to the schema
+function serializeValue(val) {
+    if (val instanceof Buffer) {
+        return val.toString('base64');
+    } else if (val && val.constructor !== String && val.constructor !== Number
+            && val.constructor !== Boolean && val.constructor !== Date) {
+        // TimeUuid, Uuid, Integer, BigDecimal
+        return val.toString();
+    } else {
+        return val;
+    }
+}
+
+function restoreValue(type, val) {
+    if (val === null || val === undefined) {
+        return val;
+    }
+    switch (type) {
+    case 'timeuuid': return TimeUuid.fromString(val);
+    case 'uuid': return cass.types.Uuid.fromString(val);
+    case 'blob': return new Buffer(val, 'base64');
+    case 'timestamp': return new Date(val);
+    default: return val;
+    }
+}
+
+/**
+ * Manages the durable background updates of a DB instance.
+ *
+ * @param {DB} db
+ * @param {object} options:
+ *        - maxAttempts: number of attempts before an entry is left to the
+ *          next startup
+ *        - retryDelay: delay before the first retry, in ms
+ */
+function BackgroundWork(db, options) {
+    options = options || {};
+    this.db = db;
+    this.maxAttempts = options.maxAttempts || defaultMaxAttempts;
+    this.retryDelay = options.retryDelay || defaultRetryDelay;
+    // Work table creations by keyspace, and keyspaces whose pending work
+    // was picked up
+    this._tables = {};
+    this._redriven = {};
+}
+
+/**
+ * Create the work table of a keyspace, if it doesn't exist yet. Only called
+ * from DB#createTable; Like the other table creations, it is retried to work
+ * around concurrent schema changes (CASSANDRA-8387).
+ *
+ * @param {InternalRequest} req
+ * @return {Promise}
+ */
+BackgroundWork.prototype.ensureTable = function(req) {
+    var self = this;
+    var keyspace = req.keyspace;
+    if (!this._tables[keyspace]) {
+        var cql = 'create table if not exists ' + workTable(keyspace)
+            + ' ("id" timeuuid primary key, "domain" text, "value" text, "attempts" int)';
+        var retries = createRetries;
+        var delay = createRetryDelay;
+        var create = function() {
+            return req.client.execute_p(cql, [], { consistency: req.consistency })
+            .catch(function(err) {
+                if (retries--) {
+                    delay = delay * (1.5 + Math.random());
+                    return P.delay(delay).then(create);
+                }
+                throw err;
+            });
+        };
+        // Shared by concurrent callers, and started over by the next one on
+        // failure
+        this._tables[keyspace] = create()
+        .catch(function(err) {
+            delete self._tables[keyspace];
+            throw err;
+        });
+    }
+    return this._tables[keyspace];
+};
+
+/**
+ * Forget the work table of a dropped keyspace, so that it is created again
+ * along with the keyspace.
+ *
+ * @param {string} keyspace
+ */
+BackgroundWork.prototype.forget = function(keyspace) {
+    delete this._tables[keyspace];
+    delete this._redriven[keyspace];
+};
+
+/**
+ * Prepare the work entry for a write. Only the key attributes of the write
+ * are stored; the background updates re-read everything else.
+ *
+ * The work table is created by DB#createTable. If this process is still
+ * creating it, the write waits for that. A missing work table fails the
+ * write, rather than losing its index updates.
+ *
+ * @param {InternalRequest} req; the put request, with its tid set
+ * @return {Promise<object|null>} the entry, with its id and the queryInfo
+ *         that adds it to the work table; null if there are no index updates
+ *         to make
+ */
+BackgroundWork.prototype.prepare = function(req) {
+    var self = this;
+    if (!Object.keys(req.schema.secondaryIndexes).length) {
+        return P.resolve(null);
+    }
+    return P.resolve(this._tables[req.keyspace])
+    .then(function() {
+        return self._entry(req);
+    });
+};
+
+BackgroundWork.prototype._entry = function(req) {
+    var schema = req.schema;
+    var attributes = {};
+    Object.keys(req.query.attributes).forEach(function(att) {
+        // The names of other attributes are needed to expire old revisions
+        attributes[att] = schema.iKeyMap[att]
+            ? serializeValue(req.query.attributes[att]) : null;
+    });
+    var id = TimeUuid.now();
+    return {
+        id: id,
+        query: {
+            cql: 'insert into ' + workTable(req.keyspace)
+                + ' ("id", "domain", "value", "attempts") values (?, ?, ?, ?)',
+            params: [id, req.domain, JSON.stringify({
+                table: req.table,
+                attributes: attributes
+            }), 0]
+        }
+    };
+};
+
+BackgroundWork.prototype._remove = function(req, id) {
+    return req.client.execute_p('delete from ' + workTable(req.keyspace)
+            + ' where "id" = ?', [id], { consistency: req.consistency, prepare: true });
+};
+
+BackgroundWork.prototype._setAttempts = function(req, id, attempts) {
+    return req.client.execute_p('update ' + workTable(req.keyspace)
+            + ' set "attempts" = ? where "id" = ?', [attempts, id],
+            { consistency: req.consistency, prepare: true });
+};
+
+BackgroundWork.prototype._delay = function(attempts) {
+    return Math.min(this.retryDelay * Math.pow(2, attempts - 1), maxRetryDelay);
+};
+
+/**
+ * Run the background updates for an entry. The entry is removed on success.
+ * Otherwise, the next attempt is queued on the background scheduler after a
+ * backoff delay, until maxAttempts is reached.
+ *
+ * @param {InternalRequest} req; the put request
+ * @param {object} work; the entry, as returned by #prepare
+ * @param {number} attempts; optional number of previous attempts
+ * @return {Promise<boolean>} whether this attempt succeeded
+ */
+BackgroundWork.prototype.run = function(req, work, attempts) {
+    var self = this;
+    attempts = attempts || 0;
+    // The updates touch index entries of other revisions, which don't
+    // share the TTL of this write
+    return this.db._backgroundUpdates(req.extend({ ttl: null }), 3)
+    .then(function() {
+        return self._remove(req, work.id)
+        .return(true);
+    }, function(err) {
+        attempts++;
+        self.db.log('error/cassandra/rebuildIndexes', {
+            message: err.message,
+            err: err,
+            keyspace: req.keyspace,
+            attempts: attempts
+        });
+        return self._setAttempts(req, work.id, attempts)
+        .then(function() {
+            if (attempts < self.maxAttempts) {
+                // Waiting outside of the scheduler, so that the backoff
+                // doesn't hold one of its slots
+                P.delay(self._delay(attempts))
+                .then(function() {
+                    return self.db._backgroundScheduler.schedule(function() {
+                        return self.run(req, work, attempts);
+                    });
+                });
+            }
+            // Else: Left for the next startup, like retries the scheduler
+            // dropped
+            return false;
+        });
+    });
+};
+
+/**
+ * Pick up work left behind by crashed processes, or given up on after
+ * maxAttempts. Done once per keyspace and process.
+ *
+ * @param {InternalRequest} req
+ * @return {Promise<number>} the number of entries that were processed
+ */
+BackgroundWork.prototype.redrive = function(req) {
+    var self = this;
+    if (this._redriven[req.keyspace]) {
+        return P.resolve(0);
+    }
+    this._redriven[req.keyspace] = true;
+    var cutoff = Date.now() - redriveAfter;
+    var count = 0;
+    return dbu.eachRow(req.client,
+            'select "id", "domain", "value", "attempts" from ' + workTable(req.keyspace),
+            [], { retries: 3 }, function(row) {
+        if (row.id.getDate().getTime() > cutoff) {
+            return;
+        }
+        count++;
+        var value = JSON.parse(row.value);
+        return self.db._makeInternalRequest(row.domain, value.table, { table: value.table })
+        .then(function(workReq) {
+            if (!workReq.schema) {
+                // The table was dropped
+                return self._remove(req, row.id);
+            }
+            var attributes = {};
+            Object.keys(value.attributes).forEach(function(att) {
+                attributes[att] = restoreValue(workReq.schema.attributes[att],
+                        value.attributes[att]);
+            });
+            return self.run(workReq.extend({
+                query: {
+                    table: value.table,
+                    attributes: attributes
+                }
+            }), { id: row.id }, row.attempts || 0);
+        })
+        .catch(function(err) {
+            self.db.log('error/cassandra/rebuildIndexes', err);
+        });
+    })
+    .then(function() {
+        return count;
+    });
+};
+
+module.exports = {
+    BackgroundWork: BackgroundWork
+};
@@ -0,0 +1,190 @@
+"use strict";
+
+var cass = require('cassandra-driver');
+var P = require('bluebird');
+var util = require('util');
+var extend = require('extend');
+var dbu = require('./dbutils');
+var pkMigration = require('./primaryIndexMigration');
+
+/*
+ * Column backfills
+ *
+ * Attribute type changes Cassandra can't apply in place are migrated by
+ * converting the values into new columns of the data column family:
+ *
+ * 1) The new columns are added, and writes set them to the converted value
+ *    along with the old ones (see dbu.buildPutQuery).
+ * 2) Once other processes had time to pick up the backfill (one schema
+ *    refresh interval), the converted values of all rows are written to the
+ *    new columns in token order, with checkpoints. The writes use the
+ *    timestamp and TTL of the row, so that they never overwrite later
+ *    writes.
+ * 3) Once the new columns of every row hold the converted value, the new
+ *    schema is stored, which maps the attributes to the new columns (see
+ *    DB#_loadStorageLayout). Secondary indexes covering converted
+ *    attributes are rebuilt in new column families.
+ * 4) After a grace period for other processes to pick up the new schema, the
+ *    old columns and index column families are dropped.
+ *
+ * The state and the last steps are shared with primary index migrations;
+ * See lib/primaryIndexMigration.
+ */
+
+/**
+ * Set up the writes to the new columns during a backfill.
+ *
+ * @param {object} sourceSchema; old schema info object
+ * @param {object} targetSchema; new schema info object
+ * @param {object} columns; the new column of each converted attribute
+ * @return {object} with the new schema, the columns, and a function for each
+ *         converted attribute that maps a value of the old type to the value
+ *         to write to its new column
+ */
+function backfillWrites(sourceSchema, targetSchema, columns) {
+    var convert = {};
+    Object.keys(columns).forEach(function(att) {
+        var change = dbu.typeChange(sourceSchema.attributes[att],
+                targetSchema.attributes[att]);
+        convert[att] = function(val) {
+            return pkMigration.storedValue(targetSchema, att, change.convert(val));
+        };
+    });
+    return {
+        schema: targetSchema,
+        columns: columns,
+        convert: convert
+    };
+}
+
+/**
+ * Runs the backfill, verification and switch of a column backfill.
+ *
+ * @param {DB} db
+ * @param {InternalRequest} req; a request carrying the old schema
+ * @param {object} state; the migration state
+ */
+function ColumnBackfill (db, req, state) {
+    pkMigration.PrimaryIndexMigration.call(this, db, req, state);
+}
+
+util.inherits(ColumnBackfill, pkMigration.PrimaryIndexMigration);
+
+/**
+ * Build the write of the converted values of a row to the new columns.
+ *
+ * @param {object} row; a raw row selected with TTLs
+ * @return {object|null} queryInfo, or null if all converted values are null
+ */
+ColumnBackfill.prototype._buildBackfillQuery = function (row) {
+    var self = this;
+    var schema = this.req.schema;
+    var attributes = this._targetAttributes(row);
+    var atts = Object.keys(this.state.columns).filter(function(att) {
+        return attributes[att] !== null && attributes[att] !== undefined;
+    });
+    if (!atts.length) {
+        return null;
+    }
+    var usingBits = ['TIMESTAMP ?'];
+    var params = [cass.types.Long.fromNumber(
+            Math.round(dbu.tidNanoTime(row[schema.tid]) * 1000))];
+    var ttl = dbu.rowTTL(row);
+    if (ttl) {
+        usingBits.push('TTL ?');
+        params.push(ttl);
+    }
+    var setCQL = atts.map(function(att) {
+        params.push(pkMigration.storedValue(self.targetSchema, att, attributes[att]));
+        return dbu.cassID(self.state.columns[att]) + ' = ?';
+    }).join(',');
+    var condition = dbu.buildCondition(dbu.rowToAttributes(schema, row, schema.iKeys),
+            schema);
+    return {
+        cql: 'update ' + dbu.cassID(this.req.keyspace) + '.'
+            + dbu.cassID(this.state.source) + ' USING ' + usingBits.join(' AND ')
+            + ' set ' + setCQL + ' where ' + condition.cql,
+        params: params.concat(condition.params)
+    };
+};
+
+ColumnBackfill.prototype._copy = function () {
+    var self = this;
+    var failed = 0;
+    var options = {
+        token: this.state.token,
+        withTTL: true,
+        checkpoint: function(token) {
+            return self._saveState({ token: token });
+        }
+    };
+    return dbu.scanTable(this.req.client, this.req.keyspace, this.state.source,
+            this.req.schema, options, function(row) {
+        return P.try(function() {
+            var queryInfo = self._buildBackfillQuery(row);
+            if (queryInfo) {
+                return self.req.client.execute_p(queryInfo.cql, queryInfo.params,
+                        { consistency: self.req.consistency, prepare: true });
+            }
+        })
+        .catch(function(e) {
+            failed++;
+            self.db.log('error/table/cassandra/columnBackfill', {
+                message: 'Could not backfill row: ' + e.message,
+                keyspace: self.req.keyspace,
+                err: e
+            });
+        });
+    })
+    .then(function() {
+        return failed;
+    });
+};
+
+/**
+ * Check that the new columns of every row hold the converted values of the
+ * old ones. Rows are read in one piece, so writes during the check are seen
+ * in both or neither.
+ *
+ * @return {Promise<boolean>} whether all rows match
+ */
+ColumnBackfill.prototype._verify = function () {
+    var self = this;
+    var targetSchema = this.targetSchema;
+    var columns = this.state.columns;
+    var atts = Object.keys(columns);
+    // Select the new columns along with the attributes
+    var scanSchema = extend({}, this.req.schema, {
+        attributes: extend({}, this.req.schema.attributes)
+    });
+    atts.forEach(function(att) {
+        scanSchema.attributes[columns[att]] = targetSchema.attributes[att];
+    });
+    var rows = 0;
+    var mismatches = 0;
+    return dbu.scanTable(this.req.client, this.req.keyspace, this.state.source,
+            scanSchema, {}, function(row) {
+        rows++;
+        var attributes = self._targetAttributes(row);
+        var matches = atts.every(function(att) {
+            var newValue = {};
+            newValue[att] = row[columns[att]];
+            var backfilled = dbu.rowToAttributes(targetSchema, newValue, [att])[att];
+            return dbu.sameValue(pkMigration.storedValue(targetSchema, att, attributes[att]),
+                    pkMigration.storedValue(targetSchema, att, backfilled));
+        });
+        if (!matches) {
+            mismatches++;
+        }
+    })
+    .then(function() {
+        self.state.verifiedRows = rows;
+        self.state.mismatches = mismatches;
+        return !mismatches;
+    });
+};
+
+module.exports = {
+    backfillWrites: backfillWrites,
+    ColumnBackfill: ColumnBackfill
+};
@@ -9,9 +9,67 @@ var cassID = dbu.cassID;
 var revPolicy = require('./revisionPolicy');
 var SchemaMigrator = require('./schemaMigration');
 var secIndexes = require('./secondaryIndexes');
+var pkMigration = require('./primaryIndexMigration');
+var columnBackfill = require('./columnBackfill');
+var errors = require('./errors');
+var BackgroundWork = require('./backgroundWork').BackgroundWork;
+var Scheduler = require('./scheduler');
+
+// Default interval between checks of cached schemas against the stored
+// schema, in milliseconds
+var defaultSchemaRefreshInterval = 60 * 1000;
+
+// Errors Cassandra reports for queries built from an outdated schema
+function isSchemaMismatch(err) {
+    return /^(Unknown identifier|Undefined (column )?name|unconfigured (columnfamily|table))/
+        .test(err && err.message);
+}
+
+// Index builds are resumed by other workers once their last checkpoint is
+// older than this (in milliseconds)
+var indexBuildStaleAfter = 5 * 60 * 1000;
+
+// Meta table key holding the build state of a secondary index
+function indexBuildKey(index) {
+    return 'index_build:' + index;
+}
+
+// Meta table key holding the state of a primary index migration
+var primaryIndexMigrationKey = 'primary_index_migration';
+
+// Meta table key holding the column families and columns each schema version
+// uses; See DB#_loadStorageLayout
+var storageLayoutKey = 'storage_layout';
+
+// Meta table key touched on changes to the state loaded with the schema;
+// See DB#_touchSchemaState
+var schemaStateKey = 'schema_state';
+
+// The version of a table's schema and its state as loaded from the meta
+// table, to check cached schemas against
+function schemaVersion(schemaItem, stateItem) {
+    return String(schemaItem.tid) + '/' + (stateItem ? String(stateItem.tid) : '');
+}
+
+// Meta table key for the state of retention policy enforcement jobs
+var retentionJobKey = 'retention_job';
 
+// Cassandra's maximum TTL of 20 years, in seconds
+var maxTTL = 20 * 365 * 86400;
+
+// Error response defaults for per-item write failures
+var updateErrorDefaults = {
+    type: 'update_error',
+    title: 'Internal error in Cassandra table storage backend'
+};
 
-function DB (client, options) {
+/**
+ * @param {cass.Client} client; the client of the default cluster
+ * @param {object} options; with conf and log members
+ * @param {object} groupClients; optional clients of the storage groups
+ *        with their own cluster, by group name
+ */
+function DB (client, options, groupClients) {
     this.conf = options.conf;
     this.log = options.log;
 
@@ -25,8 +83,42 @@ function DB (client, options) {
 
     /* Process the array of storage groups declared in the config */
     this.storageGroups = this._buildStorageGroups(options.conf.storage_groups);
+    groupClients = groupClients || {};
+    this.storageGroups.forEach(function(group) {
+        if (group.hosts) {
+            if (!groupClients[group.name]) {
+                throw new Error('No client for storage group ' + group.name);
+            }
+            group.client = groupClients[group.name];
+        }
+    });
     /* The cache holding the already-resolved domain-to-group mappings */
     this.storageGroupsCache = {};
+
+    /* Keyspace holding the registry of tables per domain */
+    this.registryKeyspace = this.conf.registryKeyspace || 'restbase_registry';
+    this._registryReady = null;
+
+    /* Secondary index builds running in this process, by keyspace and index */
+    this._indexBuilders = {};
+    /* Primary index migrations running in this process, by keyspace */
+    this._primaryIndexMigrations = {};
+
+    /* Durable, retried index & retention policy updates following writes */
+    this._work = new BackgroundWork(this, {
+        maxAttempts: this.conf.backgroundRetries,
+        retryDelay: this.conf.backgroundRetryDelay
+    });
+    /* Limits the load of background updates on the cluster */
+    this._backgroundScheduler = new Scheduler({
+        concurrency: this.conf.backgroundConcurrency || 10,
+        maxQueue: this.conf.backgroundQueueSize || 1000,
+        // Slow down writes by default, rather than dropping index updates
+        overflow: this.conf.backgroundOverflow || 'block',
+        name: 'background_updates',
+        metrics: options.metrics,
+        log: this.log
+    });
 }
 
 DB.prototype._initSchemaCache = function() {
@@ -54,61 +146,248 @@ DB.prototype._makeInternalRequest = function (domain, table, query, consistency)
             || this._keyspaceName(domain, table),
         query: query,
         consistency: consistency,
-        columnfamily: 'data',
-        schema: this.schemaCache[cacheKey]
+        schema: this.schemaCache[cacheKey],
+        client: this._client(domain)
     });
     if (!req.schema) {
         // Share the schema across domains that map to the same keyspace
         req.schema = this.keyspaceSchemaCache[req.keyspace];
     }
-    if (req.schema) {
+    if (!req.schema) {
+        return this._loadSchema(req, cacheKey);
+    } else if (!this._schemaExpired(req.schema)) {
+        req.columnfamily = dbu.dataColumnFamily(req.schema);
         return P.resolve(req);
     } else {
-        var schemaQuery = {
-            attributes: {
-                key: 'schema'
-            },
-            limit: 1
-        };
-        var schemaReq = req.extend({
-            query: schemaQuery,
-            columnfamily: 'meta',
-            schema: this.infoSchemaInfo
+        // Pick up schema changes made by other processes
+        return this._checkSchema(req)
+        .then(function(current) {
+            if (current) {
+                req.columnfamily = dbu.dataColumnFamily(req.schema);
+                return req;
+            }
+            self._invalidateSchema(req.keyspace);
+            req.schema = undefined;
+            return self._loadSchema(req, cacheKey);
         });
-        return this._get(schemaReq)
-        .then(function(res) {
-            if (res.items.length) {
-                // Need to parse the JSON manually here as we are using the
-                // internal _get(), which doesn't apply transforms.
-                var schema = JSON.parse(res.items[0].value);
+    }
+};
+
+/**
+ * Load the schema of a table from its meta column family, and cache it.
+ *
+ * @param {InternalRequest} req; without schema
+ * @param {string} cacheKey
+ * @return {Promise<InternalRequest>} the request, with its schema set if the
+ *         table exists
+ */
+DB.prototype._loadSchema = function(req, cacheKey) {
+    var self = this;
+    return P.all([
+        this._getMeta(req, 'schema'),
+        this._getMeta(req, schemaStateKey)
+    ])
+    .spread(function(item, stateItem) {
+        if (item) {
+            // Need to parse the JSON manually here as we are using the
+            // internal _get(), which doesn't apply transforms.
+            var schema = JSON.parse(item.value);
+            req.schema = dbu.makeSchemaInfo(schema);
+            // Used to detect changes made by other processes
+            req.schema._version = schemaVersion(item, stateItem);
+            req.schema._checkedAt = Date.now();
+            return P.all([
+                self._loadIndexBuilds(req),
+                self._loadStorageLayout(req),
+                self._loadPrimaryIndexMigration(req)
+            ])
+            .spread(function(builds) {
+                req.schema._indexBuilds = builds;
+                req.columnfamily = dbu.dataColumnFamily(req.schema);
                 self.keyspaceNameCache[cacheKey] = req.keyspace;
-                self.schemaCache[cacheKey] = req.schema = dbu.makeSchemaInfo(schema);
+                self.schemaCache[cacheKey] = req.schema;
                 self.keyspaceSchemaCache[req.keyspace] = req.schema;
-            }
-            return req;
-        }, function(err) {
-            // Check if the keyspace & meta column family exists
-            return self.client.execute_p('SELECT columnfamily_name FROM '
-                + 'system.schema_columnfamilies WHERE keyspace_name=? '
-                + 'and columnfamily_name=?', [req.keyspace, 'meta'])
-            .then(function (res) {
-                if (res && res.rows.length === 0) {
-                    // meta column family doesn't exist yet
-                    return req;
-                } else {
-                    // re-throw error
-                    throw err;
-                }
+                return req;
             });
+        }
+        return req;
+    }, function(err) {
+        // Check if the keyspace & meta column family exists
+        return req.client.execute_p('SELECT columnfamily_name FROM '
+            + 'system.schema_columnfamilies WHERE keyspace_name=? '
+            + 'and columnfamily_name=?', [req.keyspace, 'meta'])
+        .then(function (res) {
+            if (res && res.rows.length === 0) {
+                // meta column family doesn't exist yet
+                return req;
+            } else {
+                // re-throw error
+                throw err;
+            }
+        });
+    });
+};
+
+/**
+ * The interval of checks of cached schemas against the stored schemas,
+ * configured with conf.schemaRefreshInterval.
+ *
+ * @return {number} in milliseconds; 0 if the checks are disabled
+ */
+DB.prototype._schemaRefreshInterval = function() {
+    var interval = this.conf.schemaRefreshInterval;
+    if (interval === undefined) {
+        interval = defaultSchemaRefreshInterval;
+    }
+    return interval;
+};
+
+/**
+ * Whether a cached schema is due for a check against the stored schema.
+ *
+ * @param {object} schema; a cached schemaInfo
+ * @return {boolean}
+ */
+DB.prototype._schemaExpired = function(schema) {
+    var interval = this._schemaRefreshInterval();
+    return !!interval && schema._checkedAt !== undefined
+        && Date.now() - schema._checkedAt > interval;
+};
+
+/**
+ * Check whether the cached schema of a request is still the stored one.
+ * Concurrent checks of the same schema share a single query. If the check
+ * fails, the cached schema is used until the next request checks again.
+ *
+ * @param {InternalRequest} req; with a cached schema
+ * @return {Promise<boolean>} false if the stored schema changed
+ */
+DB.prototype._checkSchema = function(req) {
+    var self = this;
+    var schema = req.schema;
+    if (!schema._check) {
+        schema._check = P.all([
+            this._getMeta(req, 'schema'),
+            this._getMeta(req, schemaStateKey)
+        ])
+        .spread(function(item, stateItem) {
+            var current = !!item
+                && schemaVersion(item, stateItem) === schema._version;
+            if (current) {
+                schema._checkedAt = Date.now();
+            }
+            return current;
+        })
+        .catch(function(err) {
+            self.log('warn/table/cassandra/schemaCheck', err);
+            return true;
+        })
+        .finally(function() {
+            schema._check = null;
         });
     }
+    return schema._check;
+};
+
+/**
+ * Read a row of the meta column family.
+ *
+ * @param {InternalRequest} req
+ * @param {string} key
+ * @return {Promise<object>} the row, or undefined if it doesn't exist
+ */
+DB.prototype._getMeta = function(req, key) {
+    return this._get(req.extend({
+        query: {
+            attributes: {
+                key: key
+            },
+            limit: 1
+        },
+        columnfamily: 'meta',
+        schema: this.infoSchemaInfo
+    }))
+    .then(function(res) {
+        return res.items[0];
+    });
+};
+
+/**
+ * Have other processes reload the schema of a table on their next check,
+ * after a change to state that is loaded with it but stored separately,
+ * like the status of index builds and primary index migrations.
+ *
+ * @param {InternalRequest} req
+ * @return a promise that resolves when the change was stored
+ */
+DB.prototype._touchSchemaState = function(req) {
+    return this._put(req.extend({
+        columnfamily: 'meta',
+        schema: this.infoSchemaInfo,
+        query: {
+            attributes: {
+                key: schemaStateKey,
+                value: { updated: new Date().toISOString() }
+            }
+        }
+    }));
+};
+
+/**
+ * Drop the cached schemas of a keyspace.
+ *
+ * @param {string} keyspace
+ */
+DB.prototype._invalidateSchema = function(keyspace) {
+    var self = this;
+    delete this.keyspaceSchemaCache[keyspace];
+    Object.keys(this.schemaCache).forEach(function(cacheKey) {
+        if (self.keyspaceNameCache[cacheKey] === keyspace) {
+            delete self.schemaCache[cacheKey];
+        }
+    });
+};
+
+/**
+ * Run an action on a table, and retry it once with a reloaded schema if
+ * Cassandra reports a column or table that doesn't match the cached schema.
+ * That is the case after another process changed the schema.
+ *
+ * @param {string} domain
+ * @param {object} query; with a table member
+ * @param {function} action; called with an InternalRequest, returns a
+ *        promise
+ * @return {Promise} the result of the action
+ */
+DB.prototype._withSchema = function(domain, query, action) {
+    var self = this;
+    return this._makeInternalRequest(domain, query.table, query)
+    .then(function(req) {
+        return P.try(function() {
+            return action(req);
+        })
+        .catch(isSchemaMismatch, function(err) {
+            self.log('warn/table/cassandra/schemaMismatch', {
+                message: err.message,
+                keyspace: req.keyspace
+            });
+            self._invalidateSchema(req.keyspace);
+            return self._makeInternalRequest(domain, query.table, query)
+            .then(action);
+        });
+    });
 };
 
 /**
  * Process the storage group configuration.
  *
  * @param {Array} the array of group objects to read, each must contain
- *                at least the name and domains keys
+ *                at least the name and domains keys. The optional
+ *                replication key maps datacenter names to replication
+ *                factors. Groups with hosts are stored in a separate
+ *                cluster, optionally with their own username, password
+ *                and localDc. The optional keyspacePrefix replaces the
+ *                group name in keyspace names.
  * @return {Array} Array of storage group objects
  */
 DB.prototype._buildStorageGroups = function (groups) {
@@ -118,6 +397,27 @@ DB.prototype._buildStorageGroups = function (groups) {
     }
     groups.forEach(function(group) {
         var grp = extend(true, {}, group);
+        if (grp.replication !== undefined) {
+            var dcs = grp.replication && typeof grp.replication === 'object'
+                && Object.keys(grp.replication);
+            if (!dcs || !dcs.length || !dcs.every(function(dc) {
+                var rf = grp.replication[dc];
+                return /^[\w\-]+$/.test(dc) && rf === Math.floor(rf) && rf > 0;
+            })) {
+                throw new Error('Invalid replication for storage group '
+                        + grp.name + ': ' + JSON.stringify(grp.replication));
+            }
+        }
+        if (grp.hosts !== undefined && (!Array.isArray(grp.hosts) || !grp.hosts.length
+                || !grp.hosts.every(function(host) { return typeof host === 'string'; }))) {
+            throw new Error('Invalid hosts for storage group '
+                    + grp.name + ': ' + JSON.stringify(grp.hosts));
+        }
+        if (grp.keyspacePrefix !== undefined
+                && !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(grp.keyspacePrefix)) {
+            throw new Error('Invalid keyspace prefix for storage group '
+                    + grp.name + ': ' + grp.keyspacePrefix);
+        }
         if(!Array.isArray(grp.domains)) {
             grp.domains = [grp.domains];
         }
@@ -143,7 +443,8 @@ DB.prototype._buildStorageGroups = function (groups) {
  * @return {string} Valid Cassandra keyspace key
  */
 DB.prototype._keyspaceName = function (domain, table) {
-    var name = this._resolveStorageGroup(domain).name;
+    var group = this._resolveStorageGroup(domain);
+    var name = group.keyspacePrefix || group.name;
     var reversedName = name.toLowerCase().split('.').reverse().join('.');
     var prefix = dbu.makeValidKey(reversedName, Math.max(26, 48 - table.length - 3));
     return prefix
@@ -151,6 +452,34 @@ DB.prototype._keyspaceName = function (domain, table) {
         + '_T_' + dbu.makeValidKey(table, 48 - prefix.length - 3);
 };
 
+/**
+ * Get the Cassandra client of a domain's storage group.
+ *
+ * @param {string} domain
+ * @return {cass.Client} the client of the group's own cluster, or the
+ *         default client
+ */
+DB.prototype._client = function (domain) {
+    return this._resolveStorageGroup(domain).client || this.client;
+};
+
+/**
+ * Shut down the clients of all clusters.
+ *
+ * @return {Promise}
+ */
+DB.prototype.shutdown = function () {
+    var clients = [this.client];
+    this.storageGroups.forEach(function(group) {
+        if (group.client) {
+            clients.push(group.client);
+        }
+    });
+    return P.map(clients, function(client) {
+        return client.shutdown_p();
+    });
+};
+
 /**
  * Finds the storage group for a given domain.
  *
@@ -212,12 +541,24 @@ DB.prototype.infoSchemaInfo = dbu.makeSchemaInfo(DB.prototype.infoSchema, true);
 
 DB.prototype.get = function (domain, query) {
     var self = this;
-    return this._makeInternalRequest(domain, query.table, query)
-    .then(function(req) {
+    return this._withSchema(domain, query, function(req) {
+        if (query.withTTL && (Array.isArray(query.keys) || query.index)) {
+            throw new dbu.ValidationError('withTTL is only supported for '
+                    + 'primary key queries');
+        }
+        if (Array.isArray(query.keys)) {
+            return self._getMulti(req);
+        }
         return self._get(req)
         .then(function(res) {
+            var ttls = query.withTTL && res.items.map(dbu.rowTTL);
             // Apply value conversions
             res.items = dbu.convertRows(res.items, req.schema);
+            if (ttls) {
+                res.items.forEach(function(item, i) {
+                    item._ttl = ttls[i];
+                });
+            }
             return res;
         });
     });
@@ -227,19 +568,23 @@ DB.prototype._get = function (req) {
     var self = this;
 
     if (!req.schema) {
-        throw new Error("restbase-mod-table-cassandra: No schema for " + req.keyspace
-                + ', table: ' + req.columnfamily);
+        throw new dbu.HTTPError({
+            status: 404,
+            body: {
+                type: 'not_found',
+                title: 'No schema for ' + req.keyspace
+                    + ', table: ' + req.columnfamily
+            }
+        });
     }
 
     if (!req.schema.iKeyMap) {
         self.log('error/cassandra/no_iKeyMap', req.schema);
     }
 
-    // Index queries are currently handled in buildGetQuery. See
-    // https://phabricator.wikimedia.org/T78722 for secondary index TODOs.
-    //if (req.index) {
-    //    return this._getSecondaryIndex(keyspace, req, consistency, table, buildResult);
-    //}
+    if (req.query.index && req.columnfamily === dbu.dataColumnFamily(req.schema)) {
+        return this._getSecondaryIndex(req);
+    }
 
     // Paging request:
     var options = {consistency: req.consistency, prepare: true};
@@ -253,7 +598,7 @@ DB.prototype._get = function (req) {
     }
 
     var buildResult = dbu.buildGetQuery(req);
-    return self.client.execute_p(buildResult.cql, buildResult.params, options)
+    return req.client.execute_p(buildResult.cql, buildResult.params, options)
     .then(function(result){
         var rows = result.rows;
         var length = rows.length;
@@ -278,266 +623,809 @@ DB.prototype._get = function (req) {
     });
 };
 
-/*
-    Handler for request GET requests on secondary indexes.
-    This is currently not used. TODO: fix.
-*/
-//DB.prototype._getSecondaryIndex = function(keyspace, domain, req,
-//        consistency, table, buildResult){
-//
-//    // TODO: handle '_tid' cases
-//    var self = this;
-//    return self.client.execute_p(buildResult.cql, buildResult.params,
-//            {consistency: consistency, prepare: true})
-//    .then(function(results) {
-//        var queries = [];
-//        var cachedSchema = self.schemaCache[keyspace];
-//
-//        // convert the result values
-//        results.rows.forEach(function (row) {
-//            dbu.convertRow(row, cachedSchema);
-//        });
-//
-//        var newReq = {
-//            table: table,
-//            attributes: {},
-//            limit: req.limit + Math.ceil(req.limit/4)
-//        };
-//
-//        // build main data queries
-//        for ( var rowno in results.rows ) {
-//            for ( var attr in cachedSchema.iKeyMap ) {
-//                newReq.attributes[attr] = results.rows[rowno][attr];
-//            }
-//            queries.push(dbu.buildGetQuery(keyspace, domain, newReq, consistency, table, cachedSchema));
-//            newReq.attributes = {};
-//        }
-//
-//        // prepare promises for batch execution
-//        var batchPromises = [];
-//        queries.forEach(function(item) {
-//            batchPromises.push(self.client.execute_p(item.cql, item.params,
-//                        item.options || {consistency: consistency, prepare: true}));
-//        });
-//
-//        // execute batch and check if limit is fulfilled
-//        return P.all(batchPromises).then(function(batchResults){
-//            var finalRows = [];
-//            batchResults.forEach(function(item){
-//                if (finalRows.length < req.limit) {
-//                    finalRows.push(dbu.convertRow(item.rows[0], cachedSchema));
-//                }
-//            });
-//            return [finalRows, results.rows[rowno]];
-//        });
-//    })
-//    .then(function(rows){
-//        //TODO: handle case when limit > no of entries in table
-//        if (rows[0].length<req.limit) {
-//            return self.indexReads(keyspace, domain, req, consistency, table, rows[1], rows[0]);
-//        }
-//        return rows[0];
-//    }).then(function(rows){
-//        // hide the columns property added by node-cassandra-cql
-//        // XXX: submit a patch to avoid adding it in the first place
-//        for (var row in rows) {
-//            row.columns = undefined;
-//        }
-//        return {
-//            items: rows
-//        };
-//    });
-//};
-
-/*
-    Fetch index entries and compare them against data row for false positives
-    - if limit is fullfilled return
-    - else fetch more entries and compare again
-*/
-DB.prototype.indexReads = function(keyspace, domain, req, consistency, table, startKey, finalRows) {
-
-    // create new index query
-    var newIndexReq = {
-        table: table,
-        index: req.index,
-        attributes: {},
-        limit: req.limit + Math.ceil(req.limit/4)
-    };
-
-    var internalColumns = {
-        _del: true,
-        _tid: true
-    };
-
-    var cachedSchema = this.schemaCache[keyspace].secondaryIndexes[req.index];
-    for(var item in startKey) {
-        if ( !internalColumns[item] && cachedSchema._attributeIndexes[item]) {
-            if (cachedSchema.attributes[item] === 'timeuuid' ) {
-                // TODO : change 'le' to requested range conditions
-                newIndexReq.attributes[item] = {'le': startKey[item]};
-            } else {
-                newIndexReq.attributes[item] = startKey[item];
-            }
-        }
+/**
+ * Check whether a multi-get can be answered with a single query on one
+ * partition, using IN on the last clustering key. This is the case if each
+ * key set fully specifies the primary key with plain values, and all of them
+ * only differ in the last range key.
+ *
+ * @param {object} schema; the schema info
+ * @param {array} keys; the key predicate sets
+ * @return {string|null} the name of the attribute to use IN on, or null
+ */
+function inQueryAttribute(schema, keys) {
+    var keyNames = schema.iKeys.filter(function(key) {
+        return key !== '_domain';
+    });
+    var lastKey = keyNames[keyNames.length - 1];
+    if (keys.length < 2 || schema.iKeyMap[lastKey].type !== 'range') {
+        return null;
     }
-
-    var buildResult = dbu.buildGetQuery(keyspace, newIndexReq, consistency,
-            table, cachedSchema);
-
-    var self = this;
-    var queries = [];
-    var lastrow;
-    return new P(function(resolve, reject){
-        // stream  the main data table
-        var stream = self.client.stream(buildResult.cql, buildResult.params,
-                    {
-                        autoPage: true,
-                        fetchSize: req.limit + Math.ceil(req.limit/4),
-                        prepare: true,
-                        consistency: consistency
-                    })
-        .on('readable', function(){
-            var row = dbu.convertRow(this.read(), cachedSchema);
-            for (row; row !== null; row=dbu.convertRow(this.read(), cachedSchema)) {
-                lastrow = row;
-                var attributes = {};
-                var proj = {};
-                for (var attr in self.schemaCache[keyspace].iKeyMap) {
-                    attributes[attr] = row[attr];
-                }
-                queries.push(dbu.buildGetQuery(keyspace, {
-                                                table: table,
-                                                attributes: attributes,
-                                                proj: proj,
-                                                limit: req.limit + Math.ceil(req.limit/4)},
-                                                consistency, table, cachedSchema));
-                var finalRows = [];
-                if (finalRows.length<req.limit) {
-                    return self.indexReads(keyspace, req, consistency, table, lastrow, finalRows);
-                } else {
-                    return self.client.execute_p(item.cql, item.params,
-                            item.options || {consistency: consistency, prepare: true})
-                    .then(function(results){
-                        if (finalRows.length < req.limit) {
-                            finalRows.push(dbu.convertRow(results.rows[0], cachedSchema));
-                        }
-                    });
-                }
-            }
-        });
+    var isPlainValue = function(val) {
+        return val !== undefined && val !== null && val.constructor !== Object;
+    };
+    var first = keys[0];
+    var eligible = keys.every(function(key) {
+        return Object.keys(key).length === keyNames.length
+            && keyNames.every(function(name) {
+                return isPlainValue(key[name])
+                    && (name === lastKey || String(key[name]) === String(first[name]));
+            });
     });
-};
-
-DB.prototype.put = function (domain, query) {
-    return this._makeInternalRequest(domain, query.table, query)
-    .bind(this)
-    .then(this._put);
-};
-
+    return eligible ? lastKey : null;
+}
 
-DB.prototype._put = function(req) {
+/**
+ * Fetch the rows for a list of primary key predicate sets.
+ *
+ * Individual keys are queried concurrently, up to the 'concurrency' limit
+ * from the query or configuration (conf.multiGetConcurrency). Keys within
+ * the same partition are fetched with a single IN query where possible.
+ *
+ * @param {InternalRequest} req; query.keys holds an array of attribute
+ *        predicate objects
+ * @return {Promise<object>} with an items array holding one result per key
+ *         in request order, each with a status (200 or 404) and items
+ */
+DB.prototype._getMulti = function(req) {
     var self = this;
-
-    if (!req.schema) {
-        throw new Error('Table not found!');
-    }
-    var schema = req.schema;
     var query = req.query;
+    var schema = req.schema;
+    var keys = query.keys;
 
-    var tid = query.attributes[schema.tid];
-    if (!tid) {
-        query.attributes[schema.tid] = TimeUuid.now();
-    } else if (tid.constructor === String) {
-        query.attributes[schema.tid] = TimeUuid.fromString(query.attributes[schema.tid]);
+    if (!schema) {
+        return this._get(req);
     }
 
-    query.timestamp = dbu.tidNanoTime(query.attributes[schema.tid]);
+    var maxConcurrency = this.conf.multiGetConcurrency || 10;
+    var concurrency = Math.min(query.concurrency || maxConcurrency, maxConcurrency);
 
-    // insert into secondary Indexes first
-    var batch = [];
-    if (schema.secondaryIndexes) {
-        for ( var idx in schema.secondaryIndexes) {
-            var secondarySchema = schema.secondaryIndexes[idx];
-            if (!secondarySchema) {
-                throw new Error('Table not found!');
-            }
-            //if (query.attributes.uri) { console.log(query.attributes.uri, query.timestamp); }
-            var idxReq = req.extend({
-                columnfamily: dbu.idxColumnFamily(idx),
-                schema: secondarySchema
-            });
-            batch.push(dbu.buildPutQuery(idxReq));
-        }
+    // Build the per-key query from the shared options
+    function keyQuery(attributes) {
+        var newQuery = extend({}, query, { attributes: attributes });
+        delete newQuery.keys;
+        delete newQuery.concurrency;
+        return newQuery;
     }
 
-    batch.push(dbu.buildPutQuery(req));
+    function keyResult(rows) {
+        return {
+            status: rows.length ? 200 : 404,
+            items: dbu.convertRows(rows, schema)
+        };
+    }
 
-    //console.log(batch, schema);
-    var queryOptions = {consistency: req.consistency, prepare: true};
-    var mainUpdate;
-    if (batch.length === 1) {
-        // Single query only (no secondary indexes): no need for a batch.
-        var queryInfo = batch[0];
-        mainUpdate = this.client.execute_p(queryInfo.cql, queryInfo.params, queryOptions);
-    } else {
-        var driverBatch = batch.map(function(queryInfo) {
+    var inAttr = !query.limit && !query.index && inQueryAttribute(schema, keys);
+    if (inAttr) {
+        var conversion = schema.conversions[inAttr] || {};
+        // Compare the requested keys with the keys of the rows as returned
+        // to clients
+        var keyString = function(val) {
+            if (schema.attributes[inAttr] === 'timestamp') {
+                return new Date(val).toISOString();
+            }
+            if (conversion.write) {
+                val = conversion.write(val);
+            }
+            return String(val);
+        };
+        var rowKeyString = function(val) {
+            return keyString(conversion.read ? conversion.read(val) : val);
+        };
+        var attributes = extend({}, keys[0]);
+        attributes[inAttr] = {
+            'in': keys.map(function(key) {
+                return key[inAttr];
+            })
+        };
+        var inQuery = keyQuery(attributes);
+        // The rows are grouped by the key, so it needs to be selected
+        var proj = inQuery.proj;
+        var stripKey = false;
+        if (proj) {
+            proj = Array.isArray(proj) ? proj : [proj];
+            if (proj.indexOf(inAttr) === -1) {
+                inQuery.proj = proj.concat([inAttr]);
+                stripKey = true;
+            }
+        }
+        return this._get(req.extend({ query: inQuery }))
+        .then(function(res) {
+            var rowsByKey = {};
+            res.items.forEach(function(row) {
+                var rowKey = rowKeyString(row[inAttr]);
+                if (!rowsByKey[rowKey]) {
+                    rowsByKey[rowKey] = [];
+                }
+                rowsByKey[rowKey].push(row);
+            });
             return {
-                query: queryInfo.cql,
-                params: queryInfo.params
+                items: keys.map(function(key) {
+                    var result = keyResult(rowsByKey[keyString(key[inAttr])] || []);
+                    if (stripKey) {
+                        result.items.forEach(function(item) {
+                            delete item[inAttr];
+                        });
+                    }
+                    return result;
+                })
             };
         });
-        mainUpdate = this.client.batch_p(driverBatch, queryOptions);
     }
 
-    return mainUpdate
-
-    .then(function(result) {
-        // Kick off asynchronous local index rebuild
-        if (schema.secondaryIndexes) {
-            self._backgroundUpdates(req, 3)
-            .catch(function(err) {
-                self.log('error/cassandra/rebuildIndexes', err);
+    return P.map(keys, function(key) {
+        return P.try(function() {
+            return self._get(req.extend({ query: keyQuery(extend({}, key)) }));
+        })
+        .then(function(res) {
+            return keyResult(res.items);
+        })
+        .catch(function(e) {
+            return errors.toResponse(e, {
+                type: 'query_error',
+                title: 'Error in Cassandra table storage backend'
             });
-        }
-
-        // But don't wait for it. Return success straight away.
-        return {
-            // XXX: check if condition failed!
-            status: 201
-        };
+        });
+    }, { concurrency: concurrency })
+    .then(function(results) {
+        return { items: results };
     });
 };
 
-/*
- * Post-put background updates
+/**
+ * Handler for GET requests on secondary indexes.
  *
- * Queries for sibling revisions (1 newer and up to 'limit' older), and applies
- * both secondary index updates (IndexRebuilder), and the table's revision
- * retention policy (RevisionPolicyManager).
+ * Scans the index, and cross-checks each hit against the data row at the
+ * index entry's tid, the revision it was written for. Hits whose row is
+ * missing or whose indexed attributes don't match it are false positives:
+ * Index entries are written along with the data, but only marked as deleted
+ * (_del) once the background updates have caught up with later changes.
+ * Requests that only project attributes stored in the index skip the check.
+ * Index pages are fetched until the limit is satisfied. Each page is only
+ * requested for the number of items still missing, so that the paging token
+ * returned always points right after the last index entry that was
+ * considered.
  *
- * @param {object} InternalRequest; pass in an empty query to match / update
- *        all entries
- * @param {number} (optional) limit; The maximum number of entries to include
- *        in the updates
- * @param  {array} (optional) indexes; an array of index names to update;
- *        Default: all indexes in the schema
+ * @param {InternalRequest} req
+ * @return {Promise<object>} with items and optionally a next paging token
  */
-DB.prototype._backgroundUpdates = function(req, limit, indexes) {
+DB.prototype._getSecondaryIndex = function(req) {
     var self = this;
-    var schema = req.schema;
     var query = req.query;
-    indexes = indexes || Object.keys(schema.secondaryIndexes);
-
-    // If there are no indexes, and the retention policy is 'all' (i.e.
-    // there are no revisions to cull), then there is no need to go further.
-    if (!indexes.length && schema.revisionRetentionPolicy.type === 'all') {
-        return P.resolve();
+    var schema = req.schema;
+    var indexSchema = schema.secondaryIndexes[query.index];
+    if (!indexSchema) {
+        throw new dbu.ValidationError("Index not found: " + query.index);
+    }
+    if (schema._indexBuilds && schema._indexBuilds[query.index]) {
+        throw new dbu.HTTPError({
+            status: 503,
+            body: {
+                type: 'index_building',
+                title: 'The index ' + query.index + ' is still being built'
+            }
+        });
     }
 
-    var consistency = cass.types.consistencies.one;
-    var tidKey = schema.tid;
+    var limit = query.limit;
+    var items = [];
+    var concurrency = this.conf.multiGetConcurrency || 10;
 
-    // Build a new request for the main data table
+    // The data table primary key, including the tid of the revision the
+    // index entry was written for
+    var dataKeys = schema.iKeys.filter(function(att) {
+        return att !== '_domain';
+    });
+    // The indexed attributes, which need to match in the data row
+    var indexedKeys = indexSchema.iKeys.filter(function(att) {
+        return !schema.iKeyMap[att];
+    });
+
+    var proj = query.proj;
+    if (proj && proj.constructor === String) {
+        proj = [proj];
+    }
+    function project(row) {
+        if (!proj) {
+            return row;
+        }
+        var newRow = {};
+        proj.forEach(function(att) {
+            newRow[att] = row[att];
+        });
+        return newRow;
+    }
+
+    // If only attributes stored in the index are requested, answer from the
+    // index alone. This skips the data table lookup, so results may include
+    // stale entries until background updates have caught up.
+    var indexOnly = proj && proj.every(function(att) {
+        return !!indexSchema.attributes[att];
+    });
+
+    // Resolves to the data row at the index entry's tid if the entry still
+    // matches it, or null otherwise.
+    function checkHit(indexRow) {
+        if (indexOnly) {
+            return P.resolve(indexRow);
+        }
+        var attributes = {};
+        dataKeys.forEach(function(att) {
+            if (indexRow[att] !== undefined && indexRow[att] !== null) {
+                attributes[att] = indexRow[att];
+            }
+        });
+        var dataReq = req.extend({
+            query: {
+                table: query.table,
+                attributes: attributes,
+                limit: 1
+            }
+        });
+        return self._get(dataReq)
+        .then(function(res) {
+            var row = res.items[0];
+            if (row && indexedKeys.every(function(att) {
+                return dbu.sameValue(row[att], indexRow[att]);
+            })) {
+                return row;
+            } else {
+                return null;
+            }
+        });
+    }
+
+    function nextPage(next) {
+        var indexQuery = extend({}, query, { next: next });
+        delete indexQuery.index;
+        delete indexQuery.proj;
+        if (limit) {
+            indexQuery.limit = limit - items.length;
+        }
+        var indexReq = req.extend({
+            query: indexQuery,
+            columnfamily: dbu.indexColumnFamily(req.schema, query.index),
+            schema: indexSchema
+        });
+        // Entries with _del set are filtered out by _get
+        return self._get(indexReq)
+        .then(function(res) {
+            return P.map(res.items, checkHit, { concurrency: concurrency })
+            .then(function(rows) {
+                rows.forEach(function(row) {
+                    if (row) {
+                        items.push(project(row));
+                    }
+                });
+                if (res.next && (!limit || items.length < limit)) {
+                    return nextPage(res.next);
+                } else if (res.next) {
+                    return { items: items, next: res.next };
+                } else {
+                    return { items: items };
+                }
+            });
+        });
+    }
+
+    return nextPage(query.next);
+};
+
+DB.prototype.put = function (domain, query) {
+    var self = this;
+    return this._withSchema(domain, query, function(req) {
+        req.ttl = self._itemTTL(query);
+        return self._put(req);
+    });
+};
+
+/**
+ * Validate the TTL of a put against the configured maximum (conf.maxTTL).
+ *
+ * @param {object} query; the put query, with an optional ttl in seconds
+ * @return {number|null} the ttl
+ * @throws {dbu.ValidationError} if the ttl is invalid
+ */
+DB.prototype._itemTTL = function(query) {
+    if (query.ttl === undefined || query.ttl === null) {
+        return null;
+    }
+    var max = Math.min(this.conf.maxTTL || maxTTL, maxTTL);
+    if (query.ttl !== Math.floor(query.ttl) || query.ttl <= 0) {
+        throw new dbu.ValidationError('Invalid ttl: ' + query.ttl
+                + '; needs to be a positive integer number of seconds');
+    }
+    if (query.ttl > max) {
+        throw new dbu.ValidationError('Invalid ttl: ' + query.ttl
+                + '; the maximum is ' + max + ' seconds');
+    }
+    return query.ttl;
+};
+
+
+DB.prototype._put = function(req) {
+    var self = this;
+
+    if (!req.schema) {
+        throw new dbu.HTTPError({
+            status: 404,
+            body: {
+                type: 'not_found',
+                title: 'the requested table was not found'
+            }
+        });
+    }
+    var schema = req.schema;
+    var query = req.query;
+
+    var queries = this._buildPutQueries(req);
+    var batch = queries.index;
+    var work;
+    var prepared = this._work.prepare(req)
+    .then(function(entry) {
+        work = entry;
+        if (work) {
+            // Recorded atomically with the index writes, so that the
+            // background updates are retried if this process fails to
+            // complete them
+            batch.push(work.query);
+        }
+    });
+
+    //console.log(batch, schema);
+    var queryOptions = {consistency: req.consistency, prepare: true};
+    var mainUpdate;
+    if (query.if) {
+        mainUpdate = prepared.then(function() {
+            return req.client.execute_p(queries.data.cql, queries.data.params, queryOptions);
+        })
+        .then(function(result) {
+            var row = result.rows && result.rows[0];
+            if (row && row['[applied]'] === false) {
+                // The condition failed. Cassandra returns the current values
+                // of the conflicting row, if any.
+                delete row['[applied]'];
+                throw new dbu.HTTPError({
+                    status: 412,
+                    body: {
+                        type: 'precondition_failed',
+                        title: 'The condition ' + JSON.stringify(query.if)
+                            + ' failed; the row was not updated.',
+                        conflict: dbu.convertRows([row], schema)[0]
+                    }
+                });
+            }
+            return self._executeBatch(req.client, batch, queryOptions);
+        });
+    } else {
+        mainUpdate = prepared.then(function() {
+            batch.push(queries.data);
+            return self._executeBatch(req.client, batch, queryOptions);
+        });
+    }
+
+    return mainUpdate
+
+    .then(function() {
+        // Kick off asynchronous local index rebuild, but don't wait for it.
+        // Return success straight away, unless the background update
+        // queue is full.
+        return self._startBackgroundUpdates(req, work);
+    })
+    .then(function() {
+        return {
+            status: 201
+        };
+    });
+};
+
+/**
+ * Build the queries for a put: the data write, and the secondary index
+ * writes. Sets the request's tid if none was supplied.
+ *
+ * During a primary index migration, the index writes include the write to
+ * the shadow column family, so that both column families are updated
+ * atomically.
+ *
+ * @param {InternalRequest} req
+ * @return {object} with 'data' (queryInfo) and 'index' (array of queryInfo)
+ *         members
+ */
+DB.prototype._buildPutQueries = function(req) {
+    var schema = req.schema;
+    var query = req.query;
+
+    var tid = query.attributes[schema.tid];
+    if (!tid) {
+        query.attributes[schema.tid] = TimeUuid.now();
+    } else if (tid.constructor === String) {
+        query.attributes[schema.tid] = TimeUuid.fromString(query.attributes[schema.tid]);
+    }
+
+    query.timestamp = dbu.tidNanoTime(query.attributes[schema.tid]);
+
+    // Conditional (lightweight transaction) writes can't be batched with
+    // writes to other tables, so the index entries are written without the
+    // condition, and only once the data write was applied.
+    var indexQuery = query;
+    if (query.if) {
+        indexQuery = extend({}, query, { if: null });
+    }
+
+    // insert into secondary Indexes first
+    var indexQueries = [];
+    if (schema.secondaryIndexes) {
+        for ( var idx in schema.secondaryIndexes) {
+            var secondarySchema = schema.secondaryIndexes[idx];
+            if (!secondarySchema) {
+                throw new Error('Table not found!');
+            }
+            //if (query.attributes.uri) { console.log(query.attributes.uri, query.timestamp); }
+            var idxReq = req.extend({
+                query: indexQuery,
+                columnfamily: dbu.indexColumnFamily(schema, idx),
+                schema: secondarySchema
+            });
+            indexQueries.push(dbu.buildPutQuery(idxReq));
+        }
+    }
+
+    if (schema._indexMigration && req.columnfamily === dbu.dataColumnFamily(schema)) {
+        indexQueries.push(pkMigration.buildShadowPutQuery(req.extend({
+            query: indexQuery
+        })));
+    }
+
+    return {
+        data: dbu.buildPutQuery(req),
+        index: indexQueries
+    };
+};
+
+/**
+ * Kick off the asynchronous index & retention policy updates following a
+ * put. Errors are logged.
+ *
+ * The updates are queued on the background scheduler. Depending on its
+ * overflow setting, updates are dropped when the queue is full, or the
+ * returned promise only resolves once there is room.
+ *
+ * @param {InternalRequest} req; the put request
+ * @param {object} work; optional work table entry of the put, retried until
+ *        the updates succeed
+ * @return {Promise<boolean>} whether the updates were scheduled
+ */
+DB.prototype._startBackgroundUpdates = function(req, work) {
+    var self = this;
+    var schema = req.schema;
+    if (!work && (!schema.secondaryIndexes
+            || !Object.keys(schema.secondaryIndexes).length
+                && schema.revisionRetentionPolicy.type === 'all')) {
+        // Nothing to update
+        return P.resolve(true);
+    }
+    return self._backgroundScheduler.schedule(function() {
+        var updates;
+        if (work) {
+            updates = self._work.run(req, work);
+        } else {
+            // The updates touch index entries of other revisions, which
+            // don't share the TTL of this write
+            updates = self._backgroundUpdates(req.extend({ ttl: null }), 3);
+        }
+        return updates.catch(function(err) {
+            self.log('error/cassandra/rebuildIndexes', err);
+        });
+    });
+};
+
+/**
+ * Make sure the work table of a table's keyspace exists, and re-run the
+ * background updates left in it. Runs asynchronously; errors are logged.
+ *
+ * @param {InternalRequest} req
+ */
+DB.prototype._startBackgroundWork = function(req) {
+    var self = this;
+    self._work.ensureTable(req)
+    .then(function() {
+        return self._work.redrive(req);
+    })
+    .catch(function(err) {
+        self.log('error/cassandra/backgroundWork', err);
+    });
+};
+
+/**
+ * Execute a list of queries, using a batch if there is more than one.
+ *
+ * @param {cass.Client} client; the client of the table's storage group
+ * @param {array} batch; an array of queryInfo objects with cql and params
+ * @param {object} queryOptions; driver query options
+ * @return a promise that resolves when the queries are applied
+ */
+DB.prototype._executeBatch = function(client, batch, queryOptions) {
+    if (!batch.length) {
+        return P.resolve();
+    } else if (batch.length === 1) {
+        // Single query only (no secondary indexes): no need for a batch.
+        var queryInfo = batch[0];
+        return client.execute_p(queryInfo.cql, queryInfo.params, queryOptions);
+    } else {
+        var driverBatch = batch.map(function(queryInfo) {
+            return {
+                query: queryInfo.cql,
+                params: queryInfo.params
+            };
+        });
+        return client.batch_p(driverBatch, queryOptions);
+    }
+};
+
+// Limits for the size of unconditional write batches. Cassandra rejects
+// batches larger than batch_size_fail_threshold_in_kb (default 50kb).
+var maxBatchStatements = 100;
+var maxBatchBytes = 32 * 1024;
+// Number of batches and conditional items of a request written concurrently
+var batchConcurrency = 10;
+
+// Rough size of the values of a batch entry's queries, in bytes
+function batchEntrySize(entry) {
+    var size = 0;
+    entry.batch.forEach(function(queryInfo) {
+        size += queryInfo.cql.length;
+        queryInfo.params.forEach(function(param) {
+            if (param instanceof Buffer) {
+                size += param.length;
+            } else if (typeof param === 'string') {
+                size += Buffer.byteLength(param);
+            } else {
+                size += 16;
+            }
+        });
+    });
+    return size;
+}
+
+/**
+ * Split the entries of a partition into batches within the size limits.
+ * The queries of a single entry are never split.
+ *
+ * @param {array} entries; objects with a batch member (array of queryInfo)
+ * @param {object} limits; with maxStatements and maxBytes members
+ * @return {array} an array of arrays of entries
+ */
+function chunkBatch(entries, limits) {
+    var chunks = [];
+    var chunk = [];
+    var statements = 0;
+    var bytes = 0;
+    entries.forEach(function(entry) {
+        var size = batchEntrySize(entry);
+        if (chunk.length && (statements + entry.batch.length > limits.maxStatements
+                    || bytes + size > limits.maxBytes)) {
+            chunks.push(chunk);
+            chunk = [];
+            statements = 0;
+            bytes = 0;
+        }
+        chunk.push(entry);
+        statements += entry.batch.length;
+        bytes += size;
+    });
+    if (chunk.length) {
+        chunks.push(chunk);
+    }
+    return chunks;
+}
+
+/**
+ * Write a list of items in as few round-trips as possible.
+ *
+ * Items are grouped by partition key. The data writes for each partition are
+ * sent in batches of up to conf.maxBatchStatements statements and roughly
+ * conf.maxBatchBytes bytes. Batches are unlogged unless they also contain
+ * secondary index writes or background work entries. Conditional items are
+ * written individually using _put. Up to conf.batchConcurrency batches and
+ * conditional items are written at a time. Each item is reported with its own
+ * status. Items failing because of an outdated schema are retried once with
+ * the reloaded schema.
+ *
+ * @param {string} domain
+ * @param {object} query; with table and items members. Each item is a put
+ *        query with attributes, and optionally 'if'.
+ * @return {Promise<object>} with an items array of per-item statuses, in
+ *         request order
+ */
+DB.prototype.putBatch = function (domain, query) {
+    var self = this;
+    if (!Array.isArray(query.items)) {
+        throw new dbu.ValidationError('Batch items need to be an array.');
+    }
+    var results = new Array(query.items.length);
+    var pending = query.items.map(function(item, i) {
+        return i;
+    });
+    var attempts = 0;
+    return this._withSchema(domain, query, function(req) {
+        attempts++;
+        return self._putItems(req, query, pending, results)
+        .then(function(mismatch) {
+            if (mismatch && attempts === 1) {
+                // Retried by _withSchema, for the failed items only
+                pending = mismatch.items;
+                throw mismatch.error;
+            }
+            return { items: results };
+        });
+    });
+};
+
+/**
+ * Write some of the items of a batch; See putBatch.
+ *
+ * @param {InternalRequest} req
+ * @param {object} query; the batch query
+ * @param {array} indexes; the indexes of the items to write
+ * @param {array} results; receives the per-item statuses
+ * @return {Promise<object|undefined>} with the error and the indexes of the
+ *         items that failed because of an outdated schema, if any
+ */
+DB.prototype._putItems = function(req, query, indexes, results) {
+    var self = this;
+    if (!req.schema) {
+        throw new dbu.HTTPError({
+            status: 404,
+            body: {
+                type: 'not_found',
+                title: 'the requested table was not found'
+            }
+        });
+    }
+    var schema = req.schema;
+    var hashKeys = schema.index.filter(function(elem) {
+        return elem.type === 'hash' && elem.attribute !== '_domain';
+    }).map(function(elem) {
+        return elem.attribute;
+    });
+    var limits = {
+        maxStatements: this.conf.maxBatchStatements || maxBatchStatements,
+        maxBytes: this.conf.maxBatchBytes || maxBatchBytes
+    };
+
+    var mismatch;
+    function setResult(idx, e) {
+        results[idx] = errors.toResponse(e, updateErrorDefaults);
+        if (isSchemaMismatch(e)) {
+            mismatch = mismatch || { error: e, items: [] };
+            mismatch.items.push(idx);
+        }
+    }
+
+    var groups = {};
+    var conditional = [];
+    var prepared = [];
+    indexes.forEach(function(i) {
+        var item = query.items[i];
+        var itemQuery = extend({}, item, { table: query.table });
+        var itemReq = req.extend({ query: itemQuery });
+        var queries;
+        try {
+            itemReq.ttl = self._itemTTL(itemQuery);
+            if (itemQuery.if) {
+                conditional.push({ idx: i, req: itemReq });
+                return;
+            }
+            queries = self._buildPutQueries(itemReq);
+        } catch (e) {
+            setResult(i, e);
+            return;
+        }
+        prepared.push(self._work.prepare(itemReq)
+        .then(function(work) {
+            var partitionKey = JSON.stringify(hashKeys.map(function(key) {
+                return String(itemQuery.attributes[key]);
+            }));
+            if (!groups[partitionKey]) {
+                groups[partitionKey] = [];
+            }
+            var batch = queries.index.concat([queries.data]);
+            if (work) {
+                batch.push(work.query);
+            }
+            groups[partitionKey].push({
+                idx: i,
+                req: itemReq,
+                batch: batch,
+                logged: queries.index.length > 0 || !!work,
+                work: work
+            });
+        }));
+    });
+
+    var queryOptions = {consistency: req.consistency, prepare: true};
+    var concurrency = { concurrency: this.conf.batchConcurrency || batchConcurrency };
+    var chunkWrites = P.all(prepared)
+    .then(function() {
+        var chunks = [];
+        Object.keys(groups).forEach(function(partitionKey) {
+            chunks = chunks.concat(chunkBatch(groups[partitionKey], limits));
+        });
+        return chunks;
+    })
+    .map(function(chunk) {
+        var batch = [];
+        var logged = false;
+        chunk.forEach(function(entry) {
+            logged = logged || entry.logged;
+            batch = batch.concat(entry.batch);
+        });
+        var options = extend({ logged: logged }, queryOptions);
+        return self._executeBatch(req.client, batch, options)
+        .then(function() {
+            return P.each(chunk, function(entry) {
+                results[entry.idx] = { status: 201 };
+                return self._startBackgroundUpdates(entry.req, entry.work);
+            });
+        })
+        .catch(function(e) {
+            if (!isSchemaMismatch(e) && errors.toResponse(e, updateErrorDefaults).status >= 500) {
+                self.log('error/cassandra/putBatch', e);
+            }
+            chunk.forEach(function(entry) {
+                setResult(entry.idx, e);
+            });
+        });
+    }, concurrency);
+
+    var conditionalWrites = P.map(conditional, function(entry) {
+        return P.try(function() {
+            return self._put(entry.req);
+        })
+        .then(function(res) {
+            results[entry.idx] = res;
+        })
+        .catch(function(e) {
+            setResult(entry.idx, e);
+        });
+    }, concurrency);
+
+    return P.all([chunkWrites, conditionalWrites])
+    .then(function() {
+        return mismatch;
+    });
+};
+
+/*
+ * Post-put background updates
+ *
+ * Queries for sibling revisions (1 newer and up to 'limit' older), and applies
+ * both secondary index updates (IndexRebuilder), and the table's revision
+ * retention policy (RevisionPolicyManager).
+ *
+ * @param {object} InternalRequest; pass in an empty query to match / update
+ *        all entries
+ * @param {number} (optional) limit; The maximum number of entries to include
+ *        in the updates
+ * @param  {array} (optional) indexes; an array of index names to update;
+ *        Default: all indexes in the schema
+ */
+DB.prototype._backgroundUpdates = function(req, limit, indexes) {
+    var self = this;
+    var schema = req.schema;
+    var query = req.query;
+    indexes = indexes || Object.keys(schema.secondaryIndexes);
+
+    // If there are no indexes, and the retention policy is 'all' (i.e.
+    // there are no revisions to cull), then there is no need to go further.
+    if (!indexes.length && schema.revisionRetentionPolicy.type === 'all') {
+        return P.resolve();
+    }
+
+    var consistency = cass.types.consistencies.one;
+    var tidKey = schema.tid;
+
+    // Build a new request for the main data table
     var dataQuery = {
         table: query.table,
         attributes: {},
@@ -560,6 +1448,13 @@ DB.prototype._backgroundUpdates = function(req, limit, indexes) {
                 secondaryKeySet[att] = true;
             }
         });
+        // Also diff projected attributes, so that changed projections are
+        // refreshed in the index
+        schema.secondaryIndexes[idx].proj.forEach(function(att) {
+            if (!schema.iKeyMap[att]) {
+                secondaryKeySet[att] = true;
+            }
+        });
     });
     var secondaryKeys = Object.keys(secondaryKeySet);
 
@@ -580,7 +1475,7 @@ DB.prototype._backgroundUpdates = function(req, limit, indexes) {
 
     // XXX: handle the case where reqTid is not defined?
     var indexRebuilder = new secIndexes.IndexRebuilder(self, req, secondaryKeys, reqTime);
-    var policyManager = new revPolicy.RevisionPolicyManager(self, req, schema, reqTime);
+    var policyManager = new revPolicy.RevisionPolicyManager(self, req, schema);
     var handler = new UpdateHandler([indexRebuilder, policyManager]);
 
     // Query for a window that includes 1 newer record (if any exists), and up
@@ -598,38 +1493,628 @@ DB.prototype._backgroundUpdates = function(req, limit, indexes) {
         // (reverse chronological)
         var dataGetReq = req.extend({
             query: dataQuery,
-            columnfamily: 'data'
+            columnfamily: dbu.dataColumnFamily(schema)
         });
         var dataGetInfo = dbu.buildGetQuery(dataGetReq);
 
         return dbu.eachRow(
-            self.client,
+            req.client,
             dataGetInfo.cql,
             dataGetInfo.params,
             {retries: 3},
             handler.handleRow.bind(handler)
         );
+    })
+    .then(function() {
+        var failures = indexRebuilder.failures + policyManager.failures;
+        if (failures) {
+            // Let the caller retry; See lib/backgroundWork
+            throw new Error(failures + ' background update writes failed');
+        }
+    });
+};
+
+/**
+ * Load the state of unfinished secondary index builds.
+ *
+ * @param {InternalRequest} req
+ * @return {Promise<object>} map from index name to build state, for indexes
+ *         whose backfill is not yet complete
+ */
+DB.prototype._loadIndexBuilds = function(req) {
+    var self = this;
+    var builds = {};
+    return P.map(Object.keys(req.schema.secondaryIndexes || {}), function(index) {
+        return self._get(req.extend({
+            columnfamily: 'meta',
+            schema: self.infoSchemaInfo,
+            query: {
+                attributes: {
+                    key: indexBuildKey(index)
+                },
+                limit: 1
+            }
+        }))
+        .then(function(res) {
+            if (res.items.length) {
+                var state = JSON.parse(res.items[0].value);
+                if (state.status !== 'done') {
+                    builds[index] = state;
+                }
+            }
+        });
+    })
+    .then(function() {
+        return builds;
+    });
+};
+
+/**
+ * Store the build state of a secondary index in the meta table.
+ *
+ * @param {InternalRequest} req
+ * @param {string} index; the index name
+ * @param {object} state; with status ('building', 'failed' or 'done'), and
+ *        the token of the last completed partition
+ * @return a promise that resolves when the state was stored
+ */
+DB.prototype._saveIndexBuild = function(req, index, state) {
+    var self = this;
+    state.updated = new Date().toISOString();
+    return this._put(req.extend({
+        columnfamily: 'meta',
+        schema: this.infoSchemaInfo,
+        query: {
+            attributes: {
+                key: indexBuildKey(index),
+                value: state
+            }
+        }
+    }))
+    .then(function(res) {
+        if (state.status === 'done') {
+            // Other processes only read the index once they reloaded
+            // its build state
+            return self._touchSchemaState(req).return(res);
+        }
+        return res;
+    });
+};
+
+/**
+ * Start backfilling a secondary index in the background, unless this
+ * process is already building it.
+ *
+ * @param {InternalRequest} req; a request carrying the schema with the index
+ * @param {string} index; the index name
+ * @param {object} state; optional build state to resume from
+ */
+DB.prototype._startIndexBuild = function(req, index, state) {
+    var self = this;
+    var buildKey = JSON.stringify([req.keyspace, index]);
+    if (this._indexBuilders[buildKey]) {
+        return;
+    }
+    var builder = new secIndexes.IndexBuilder(this, req, index);
+    this._indexBuilders[buildKey] = builder;
+    this.log('warn/table/cassandra/indexBuild', {
+        message: 'Building index ' + index + ' in keyspace ' + req.keyspace,
+        keyspace: req.keyspace,
+        index: index,
+        token: state && state.token
+    });
+    builder.run(state && state.token)
+    .then(function(completed) {
+        if (completed) {
+            self._indexBuildDone(req.keyspace, index);
+        }
+    })
+    .catch(function(err) {
+        self.log('error/table/cassandra/indexBuild', err);
+    })
+    .finally(function() {
+        delete self._indexBuilders[buildKey];
+    });
+};
+
+/**
+ * Stop a secondary index build running in this process.
+ *
+ * @param {string} keyspace
+ * @param {string} index; the index name
+ */
+DB.prototype._cancelIndexBuild = function(keyspace, index) {
+    var builder = this._indexBuilders[JSON.stringify([keyspace, index])];
+    if (builder) {
+        builder.cancel();
+    }
+};
+
+/**
+ * Resume secondary index builds whose last checkpoint is stale, which
+ * typically means that the process running them went away. Failed builds
+ * are started over once their state is stale.
+ *
+ * @param {InternalRequest} req
+ * @return a promise that resolves once the builds were started
+ */
+DB.prototype._resumeIndexBuilds = function(req) {
+    var self = this;
+    return this._loadIndexBuilds(req)
+    .then(function(builds) {
+        Object.keys(builds).forEach(function(index) {
+            var state = builds[index];
+            if (Date.now() - Date.parse(state.updated) > indexBuildStaleAfter) {
+                self._startIndexBuild(req, index, state);
+            }
+        });
+    });
+};
+
+/**
+ * Make a completed index available for reads in the cached schemas of this
+ * process. Other processes pick this up when they reload the schema.
+ *
+ * @param {string} keyspace
+ * @param {string} index; the index name
+ */
+DB.prototype._indexBuildDone = function(keyspace, index) {
+    var self = this;
+    var schemas = [this.keyspaceSchemaCache[keyspace]];
+    Object.keys(this.keyspaceNameCache).forEach(function(cacheKey) {
+        if (self.keyspaceNameCache[cacheKey] === keyspace) {
+            schemas.push(self.schemaCache[cacheKey]);
+        }
+    });
+    schemas.forEach(function(schema) {
+        if (schema && schema._indexBuilds) {
+            delete schema._indexBuilds[index];
+        }
+    });
+};
+
+/**
+ * Load the storage layout of a table's schema, and set up the schema info
+ * accordingly. Data migrations move the data, converted attributes and
+ * rebuilt secondary indexes to new column families and columns; Each layout
+ * applies to the schema versions from its own up to the next layout's.
+ *
+ * @param {InternalRequest} req; with the stored schema
+ * @return {Promise<array>} all layouts, as objects with the schema version,
+ *         the data column family, and maps from attributes to columns and
+ *         from secondary indexes to column families
+ */
+DB.prototype._loadStorageLayout = function(req) {
+    var schema = req.schema;
+    return this._getStorageLayouts(req)
+    .then(function(layouts) {
+        var layout;
+        layouts.forEach(function(candidate) {
+            if (candidate.version <= schema.version
+                    && (!layout || candidate.version > layout.version)) {
+                layout = candidate;
+            }
+        });
+        if (layout) {
+            schema._dataCF = layout.data;
+            schema._columns = layout.columns;
+            schema._indexCFs = layout.indexes;
+        }
+        return layouts;
     });
 };
 
+DB.prototype._getStorageLayouts = function(req) {
+    return this._getMeta(req, storageLayoutKey)
+    .then(function(item) {
+        return item ? JSON.parse(item.value).layouts : [];
+    });
+};
+
+DB.prototype._storeStorageLayouts = function(req, layouts) {
+    var self = this;
+    return this._put(req.extend({
+        columnfamily: 'meta',
+        schema: this.infoSchemaInfo,
+        query: {
+            attributes: {
+                key: storageLayoutKey,
+                value: { layouts: layouts }
+            }
+        }
+    }))
+    .then(function() {
+        return self._touchSchemaState(req);
+    });
+};
+
+/**
+ * Store the storage layout of a schema version, replacing those of the same
+ * or later versions.
+ *
+ * @param {InternalRequest} req
+ * @param {object} layout; see DB#_loadStorageLayout
+ * @return a promise that resolves when the layout was stored
+ */
+DB.prototype._saveStorageLayout = function(req, layout) {
+    var self = this;
+    return this._getStorageLayouts(req)
+    .then(function(layouts) {
+        layouts = layouts.filter(function(other) {
+            return other.version < layout.version;
+        });
+        layouts.push(layout);
+        return self._storeStorageLayouts(req, layouts);
+    });
+};
+
+/**
+ * Remove the storage layout of a schema version that was never stored, like
+ * the target of a failed data migration.
+ *
+ * @param {InternalRequest} req
+ * @param {number} version; the schema version
+ * @return a promise that resolves when the layout was removed
+ */
+DB.prototype._dropStorageLayout = function(req, version) {
+    var self = this;
+    return this._getStorageLayouts(req)
+    .then(function(layouts) {
+        return self._storeStorageLayouts(req, layouts.filter(function(layout) {
+            return layout.version !== version;
+        }));
+    });
+};
+
+/**
+ * Load the state of the latest data migration. While copying, writes are
+ * duplicated to the target column family, or to the new columns of a column
+ * backfill; See DB#_buildPutQueries and dbu.buildPutQuery.
+ *
+ * @param {InternalRequest} req; with the stored schema
+ * @return {Promise<object>} the migration state, or null
+ */
+DB.prototype._loadPrimaryIndexMigration = function(req) {
+    var schema = req.schema;
+    return this._getMeta(req, primaryIndexMigrationKey)
+    .then(function(item) {
+        if (!item) {
+            return null;
+        }
+        var state = JSON.parse(item.value);
+        var targetSchema = dbu.makeSchemaInfo(state.schema);
+        if (state.status === 'copying' && targetSchema.hash !== schema.hash) {
+            if (state.type === 'backfill') {
+                schema._columnBackfill = columnBackfill.backfillWrites(schema,
+                        targetSchema, state.columns);
+            } else {
+                schema._indexMigration = {
+                    target: state.target,
+                    schema: targetSchema
+                };
+            }
+        }
+        return state;
+    });
+};
+
+/**
+ * Store the state of a primary index migration in the meta table.
+ *
+ * @param {InternalRequest} req
+ * @param {object} state; see lib/primaryIndexMigration
+ * @param {boolean} statusChange; whether the status changed, which other
+ *        processes need to pick up to write to the right column families
+ * @return a promise that resolves when the state was stored
+ */
+DB.prototype._savePrimaryIndexMigration = function(req, state, statusChange) {
+    var self = this;
+    state.updated = new Date().toISOString();
+    return this._put(req.extend({
+        columnfamily: 'meta',
+        schema: this.infoSchemaInfo,
+        query: {
+            attributes: {
+                key: primaryIndexMigrationKey,
+                value: state
+            }
+        }
+    }))
+    .then(function(res) {
+        if (statusChange) {
+            return self._touchSchemaState(req).return(res);
+        }
+        return res;
+    });
+};
+
+/**
+ * Create the runner for a data migration.
+ *
+ * @param {InternalRequest} req; a request carrying the old schema
+ * @param {object} state; the migration state
+ * @return {PrimaryIndexMigration} a PrimaryIndexMigration, or a
+ *         ColumnBackfill for backfill migrations
+ */
+DB.prototype._dataMigration = function(req, state) {
+    if (state.type === 'backfill') {
+        return new columnBackfill.ColumnBackfill(this, req, state);
+    } else {
+        return new pkMigration.PrimaryIndexMigration(this, req, state);
+    }
+};
+
+/**
+ * Run a data migration in the background, unless this process is already
+ * running one for the keyspace. The old column families and columns are
+ * dropped some time after the switch, and the new ones right away if the
+ * migration failed.
+ *
+ * @param {InternalRequest} req; a request carrying the old schema
+ * @param {object} state; the migration state
+ */
+DB.prototype._startPrimaryIndexMigration = function(req, state) {
+    var self = this;
+    var keyspace = req.keyspace;
+    if (this._primaryIndexMigrations[keyspace]) {
+        return;
+    }
+    var migration = this._dataMigration(req, state);
+    this._primaryIndexMigrations[keyspace] = migration;
+    this.log('warn/table/cassandra/primaryIndexMigration', {
+        message: 'Migrating the data of keyspace ' + keyspace,
+        keyspace: keyspace,
+        type: state.type,
+        source: state.source,
+        target: state.target,
+        token: state.token
+    });
+    migration.run()
+    .finally(function() {
+        delete self._primaryIndexMigrations[keyspace];
+    })
+    .then(function() {
+        if (state.status === 'done') {
+            return P.delay(migration.retireDelay())
+            .then(function() {
+                return migration.retire();
+            });
+        } else if (state.status === 'failed') {
+            return migration.retire();
+        }
+    })
+    .catch(function(err) {
+        self.log('error/table/cassandra/primaryIndexMigration', err);
+    });
+};
+
+/**
+ * Resume a data migration whose last checkpoint is stale, and drop the
+ * unused column families and columns of a completed or failed migration if
+ * that was missed.
+ *
+ * @param {InternalRequest} req; with the stored schema
+ * @return a promise that resolves once the work was started
+ */
+DB.prototype._resumePrimaryIndexMigration = function(req) {
+    var self = this;
+    return this._loadPrimaryIndexMigration(req.extend({
+        schema: extend({}, req.schema)
+    }))
+    .then(function(state) {
+        if (!state) {
+            return;
+        }
+        var age = Date.now() - Date.parse(state.updated);
+        var migration = self._dataMigration(req, state);
+        if (state.status === 'copying' && age > indexBuildStaleAfter) {
+            self._startPrimaryIndexMigration(req, state);
+        } else if (state.status === 'done' && !state.retired
+                && age > migration.retireDelay()
+                || state.status === 'failed' && !state.retired) {
+            return migration.retire();
+        }
+    });
+};
+
+/**
+ * Apply the revision retention policy of a table to all of its rows.
+ *
+ * Interrupted runs are resumed from their last checkpoint.
+ *
+ * @param {string} domain
+ * @param {string} table
+ * @param {object} options; optional:
+ *        - dryRun: only report how many rows would be expired
+ *        - throttle: maximum number of rows to process per second
+ *        - restart: ignore the checkpoint of an interrupted run
+ * @return {Promise<object>} the report; See RetentionEnforcer#run
+ */
+DB.prototype.enforceRetention = function(domain, table, options) {
+    var self = this;
+    options = options || {};
+    return this._makeInternalRequest(domain, table, { table: table })
+    .then(function(req) {
+        if (!req.schema) {
+            throw new dbu.HTTPError({
+                status: 404,
+                body: {
+                    type: 'not_found',
+                    title: 'the requested table was not found'
+                }
+            });
+        }
+        if (options.dryRun || options.restart) {
+            return [req, null];
+        }
+        return [req, self._loadRetentionJob(req)];
+    })
+    .spread(function(req, state) {
+        if (state && state.status !== 'running') {
+            state = null;
+        }
+        self.log('warn/table/cassandra/retention', {
+            message: 'Enforcing the retention policy in keyspace ' + req.keyspace,
+            keyspace: req.keyspace,
+            policy: req.schema.revisionRetentionPolicy,
+            dryRun: !!options.dryRun,
+            token: state && state.token
+        });
+        return new revPolicy.RetentionEnforcer(self, req, options).run(state);
+    });
+};
+
+/**
+ * Load the state of the last retention enforcement job.
+ *
+ * @param {InternalRequest} req
+ * @return {Promise<object|null>}
+ */
+DB.prototype._loadRetentionJob = function(req) {
+    return this._get(req.extend({
+        columnfamily: 'meta',
+        schema: this.infoSchemaInfo,
+        query: {
+            attributes: {
+                key: retentionJobKey
+            },
+            limit: 1
+        }
+    }))
+    .then(function(res) {
+        return res.items.length ? JSON.parse(res.items[0].value) : null;
+    });
+};
+
+/**
+ * Store the state of a retention enforcement job in the meta table.
+ *
+ * @param {InternalRequest} req
+ * @param {object} state; with status ('running' or 'done'), the token of the
+ *        last completed partition, and the report so far
+ * @return a promise that resolves when the state was stored
+ */
+DB.prototype._saveRetentionJob = function(req, state) {
+    state.updated = new Date().toISOString();
+    return this._put(req.extend({
+        columnfamily: 'meta',
+        schema: this.infoSchemaInfo,
+        query: {
+            attributes: {
+                key: retentionJobKey,
+                value: state
+            }
+        }
+    }));
+};
+
 DB.prototype.delete = function (domain, query) {
-    return this._makeInternalRequest(domain, query.table, query)
-    .bind(this)
-    .then(this._delete);
+    return this._withSchema(domain, query, this._delete.bind(this));
 };
 
-DB.prototype._delete = function (req) {
+DB.prototype._delete = function (req) {
+    var self = this;
+    var schema = req.schema;
+    var query = req.query;
+
+    if (!schema) {
+        throw new dbu.HTTPError({
+            status: 404,
+            body: {
+                type: 'not_found',
+                title: 'the requested table was not found'
+            }
+        });
+    }
+
+    var attributes = query.attributes || {};
+    if (query.path) {
+        try {
+            extend(attributes, dbu.keyAttributesFromPath(schema, query.path));
+        } catch (e) {
+            throw new dbu.HTTPError({
+                status: 400,
+                body: {
+                    type: 'bad_request',
+                    title: e.message
+                }
+            });
+        }
+    }
+
+    // Look up the row matching the full primary key. Only the hidden _tid
+    // of unversioned tables may be omitted, which selects the latest row.
+    var keyAttributes = {};
+    var missingKeys = [];
+    schema.iKeys.forEach(function(key) {
+        if (attributes[key] !== undefined) {
+            keyAttributes[key] = attributes[key];
+        } else if (key !== '_domain' && key !== '_tid') {
+            missingKeys.push(key);
+        }
+    });
+    if (missingKeys.length) {
+        throw new dbu.HTTPError({
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title: 'Deletes require the full primary key; missing: '
+                    + missingKeys.join(', ')
+            }
+        });
+    }
+    var getReq = req.extend({
+        query: {
+            table: query.table,
+            attributes: keyAttributes,
+            limit: 1
+        }
+    });
+    return self._get(getReq)
+    .then(function(res) {
+        if (!res.items.length) {
+            throw new dbu.HTTPError({
+                status: 404,
+                body: {
+                    type: 'not_found',
+                    title: 'the item to delete was not found'
+                }
+            });
+        }
+        var row = res.items[0];
+
+        // Rewrite the row's primary key and indexed attributes, so that the
+        // secondary index entries in the batch are marked as deleted too.
+        var delAttributes = dbu.rowToAttributes(schema, row,
+                schema.iKeys.concat(Object.keys(schema.attributeIndexes)));
 
-    // Mark _del with current timestamp and update the row.
-    req.query.attributes._del = TimeUuid.now();
+        // Mark _del with current timestamp and update the row.
+        delAttributes._del = TimeUuid.now();
 
-    return this._put(req);
+        return self._put(req.extend({
+            query: {
+                table: query.table,
+                attributes: delAttributes
+            }
+        }));
+    });
 };
 
-DB.prototype.createTable = function (domain, query) {
+/**
+ * Create a table, or migrate it to a new schema.
+ *
+ * @param {string} domain
+ * @param {object} query; the table schema
+ * @param {object} options; optional:
+ *        - dryRun: only validate the schema, and return the planned steps
+ * @return {object} { status: 201 }, or { status: 200, steps: [...] } for a
+ *         dry run
+ */
+DB.prototype.createTable = function (domain, query, options) {
     var self = this;
+    options = options || {};
     if (!query.table) {
-        throw new Error('Table name required.');
+        throw new dbu.ValidationError('Table name required.');
     }
 
     return this._makeInternalRequest(domain, query.table, query)
@@ -648,6 +2133,9 @@ DB.prototype.createTable = function (domain, query) {
             // Table already exists
             // Use JSON.stringify to avoid object equality on functions
             if (currentSchemaInfo.hash === newSchemaInfo.hash) {
+                if (options.dryRun) {
+                    return { status: 200, steps: [] };
+                }
                 if (!currentSchemaInfo._domainIndexDropped) {
                     // Hacky flag to avoid dropping index on each request.
                     // TODO: Properly keep track of internal schema versions!
@@ -655,6 +2143,44 @@ DB.prototype.createTable = function (domain, query) {
                     // Asynchronously drop native secondary index on _domain column
                     self._dropDomainIndex(req);
                 }
+                if (currentSchemaInfo._indexMigration
+                        || currentSchemaInfo._columnBackfill
+                        || currentSchemaInfo._columns) {
+                    // Pick up data migrations interrupted elsewhere
+                    self._resumePrimaryIndexMigration(req)
+                    .catch(function(err) {
+                        self.log('error/table/cassandra/primaryIndexMigration', err);
+                    });
+                }
+                if (currentSchemaInfo._indexBuilds
+                        && Object.keys(currentSchemaInfo._indexBuilds).length) {
+                    // Pick up index builds interrupted elsewhere
+                    self._resumeIndexBuilds(req)
+                    .catch(function(err) {
+                        self.log('error/table/cassandra/indexBuild', err);
+                    });
+                }
+                if (!currentSchemaInfo._replicationChecked) {
+                    // Pick up replication changes in the storage group
+                    // config
+                    currentSchemaInfo._replicationChecked = true;
+                    self._updateReplication(req, currentSchemaInfo.options
+                            && currentSchemaInfo.options.durability)
+                    .catch(function(err) {
+                        self.log('error/table/cassandra/replication', err);
+                    });
+                }
+                // Create the work table for tables created before it existed,
+                // and pick up work left behind by other processes
+                self._startBackgroundWork(req);
+                if (!currentSchemaInfo._registered) {
+                    // Register tables created before the registry existed
+                    currentSchemaInfo._registered = true;
+                    self._registerExistingTable(req, newSchema)
+                    .catch(function(err) {
+                        self.log('error/cassandra/table_registry', err);
+                    });
+                }
 
                 // all good & nothing to do.
                 return {
@@ -671,13 +2197,26 @@ DB.prototype.createTable = function (domain, query) {
                         body: {
                             type: 'bad_request',
                             title: 'The table already exists, and its schema cannot be upgraded to the requested schema ('+error+').',
+                            field: error.field,
+                            reason: error.message,
                             keyspace: req.keyspace,
                             schema: newSchema
                         }
                     });
                 }
+                if (options.dryRun) {
+                    return { status: 200, steps: migrator.plan() };
+                }
                 return migrator.migrate()
                 .then(function() {
+                    self._startBackgroundWork(req);
+                    if (migrator.deferred()) {
+                        // The new schema is stored once the background
+                        // migration completes. Reload the migration state on
+                        // subsequent requests.
+                        self._initSchemaCache();
+                        return { status: 201 };
+                    }
                     var putReq = req.extend({
                         columnfamily: 'meta',
                         schema: self.infoSchemaInfo,
@@ -692,6 +2231,12 @@ DB.prototype.createTable = function (domain, query) {
                     .then(function() {
                         // Force a cache update on subsequent requests
                         self._initSchemaCache();
+                        return migrator.finish();
+                    })
+                    .then(function() {
+                        return self._registerTable(req, newSchema.version);
+                    })
+                    .then(function() {
                         return { status: 201 };
                     });
                 })
@@ -702,21 +2247,17 @@ DB.prototype.createTable = function (domain, query) {
             }
         }
 
-        // TODO:2014-11-09:gwicke use info from system.{peers,local} to
-        // automatically set up DC replication
-        //
-        // Always use NetworkTopologyStrategy with default 'datacenter1' for easy
-        // extension to cross-DC replication later.
-        var localDc = self.conf.localDc;
-        var replicationOptions = "{ 'class': 'NetworkTopologyStrategy', '" + localDc + "': 3 }";
+        var replicationOptions = self._replicationOptions(
+                req.query.options && req.query.options.durability,
+                self._resolveStorageGroup(req.domain));
 
-        if (req.query.options) {
-            if (req.query.options.durability === 'low') {
-                replicationOptions = "{ 'class': 'NetworkTopologyStrategy', '" + localDc + "': 1 }";
-            }
+        if (options.dryRun) {
+            return {
+                status: 200,
+                steps: self._createTablePlan(req, newSchemaInfo, replicationOptions)
+            };
         }
 
-
         // Cassandra does not like concurrent keyspace creation. This is
         // especially significant on the first restbase startup, when many workers
         // compete to create the system tables. It is also relevant for complex
@@ -734,6 +2275,7 @@ DB.prototype.createTable = function (domain, query) {
         // table creation code is idempotent, which makes this a safe thing to do.
         var retries = 100; // We try really hard.
         var delay = 100; // Start with a 1ms delay
+        var schemaTid;
         function doCreateTables() {
             return self._createKeyspace(req, replicationOptions)
             .then(function() {
@@ -744,6 +2286,9 @@ DB.prototype.createTable = function (domain, query) {
             .then(function() {
                 return self._createTable(req, self.infoSchemaInfo, 'meta');
             })
+            .then(function() {
+                return self._work.ensureTable(req);
+            })
             .then(function() {
                 // Only store the schema after everything else was created
                 var putReq = req.extend({
@@ -758,9 +2303,8 @@ DB.prototype.createTable = function (domain, query) {
                 });
                 return self._put(putReq)
                 .then(function() {
-                    return {
-                        status: 201
-                    };
+                    // _put assigned the tid of the schema
+                    schemaTid = putReq.query.attributes.tid;
                 });
             })
             .catch(function(e) {
@@ -778,7 +2322,195 @@ DB.prototype.createTable = function (domain, query) {
 
         }
 
-        return doCreateTables();
+        return doCreateTables()
+        .then(function() {
+            return self._registerTable(req, newSchema.version, schemaTid);
+        })
+        .then(function() {
+            return {
+                status: 201
+            };
+        });
+    });
+};
+
+/**
+ * List the steps of creating a new table, for dry runs.
+ *
+ * @param {InternalRequest} req
+ * @param {object} schema; the schema info object
+ * @param {string} replication; CQL replication map
+ * @return {array} of step objects
+ */
+DB.prototype._createTablePlan = function(req, schema, replication) {
+    var steps = [
+        { action: 'create_keyspace', keyspace: req.keyspace, replication: replication },
+        { action: 'create_table', columnfamily: 'data' }
+    ];
+    Object.keys(schema.secondaryIndexes).forEach(function(idx) {
+        steps.push({
+            action: 'create_index_table',
+            index: idx,
+            columnfamily: dbu.idxColumnFamily(idx)
+        });
+    });
+    steps.push({ action: 'create_table', columnfamily: 'meta' });
+    return steps;
+};
+
+/**
+ * Discover the datacenters of each cluster from system.local and
+ * system.peers. Storage groups without explicit replication are then
+ * replicated to all datacenters of their cluster.
+ *
+ * @return {Promise<array>} the datacenter names of the default cluster
+ */
+DB.prototype._discoverDatacenters = function() {
+    var self = this;
+    return P.join(
+        this._clusterDatacenters(this.client),
+        P.each(this.storageGroups, function(group) {
+            if (group.client) {
+                return self._clusterDatacenters(group.client, group)
+                .then(function(datacenters) {
+                    group.datacenters = datacenters;
+                });
+            }
+        })
+    )
+    .spread(function(datacenters) {
+        self.datacenters = datacenters;
+        return datacenters;
+    });
+};
+
+/**
+ * Query the datacenters of a cluster.
+ *
+ * @param {cass.Client} client; a client of the cluster
+ * @param {object} group; optional storage group with its own cluster
+ * @return {Promise<array>} the sorted datacenter names
+ */
+DB.prototype._clusterDatacenters = function(client, group) {
+    var self = this;
+    var consistency = { consistency: cass.types.consistencies.one };
+    return P.join(
+        client.execute_p('select data_center from system.local', [], consistency),
+        client.execute_p('select data_center from system.peers', [], consistency)
+    )
+    .spread(function(local, peers) {
+        var datacenters = {};
+        local.rows.concat(peers.rows).forEach(function(row) {
+            if (row.data_center) {
+                datacenters[row.data_center] = true;
+            }
+        });
+        datacenters = Object.keys(datacenters).sort();
+        self.log('info/table/cassandra/datacenters', {
+            message: 'discovered datacenters',
+            storage_group: group && group.name,
+            datacenters: datacenters
+        });
+        return datacenters;
+    });
+};
+
+/**
+ * Get the replication factor per datacenter.
+ *
+ * Storage groups can declare a replication factor for each datacenter.
+ * Otherwise, data is replicated to the discovered datacenters of the
+ * group's cluster, or to conf.localDc. Groups with their own cluster fall
+ * back to their localDc.
+ *
+ * @param {string} durability; 'low' or 'standard' (default). Low durability
+ *        keeps a single replica in each datacenter.
+ * @param {object} group; optional storage group
+ * @return {object} datacenter name -> replication factor
+ */
+DB.prototype._replication = function(durability, group) {
+    var replication = group && group.replication;
+    if (!replication) {
+        replication = {};
+        var datacenters = this.datacenters || [this.conf.localDc];
+        if (group && group.hosts) {
+            datacenters = group.datacenters || [group.localDc || this.conf.localDc];
+        }
+        datacenters.forEach(function(dc) {
+            replication[dc] = 3;
+        });
+    }
+    var res = {};
+    Object.keys(replication).sort().forEach(function(dc) {
+        res[dc] = durability === 'low' ? 1 : replication[dc];
+    });
+    return res;
+};
+
+/**
+ * Build the keyspace replication options.
+ *
+ * @param {string} durability; 'low' or 'standard' (default)
+ * @param {object} group; optional storage group
+ * @return {string} CQL replication map
+ */
+DB.prototype._replicationOptions = function(durability, group) {
+    var replication = this._replication(durability, group);
+    return "{ 'class': 'NetworkTopologyStrategy'"
+        + Object.keys(replication).map(function(dc) {
+            return ", '" + dc + "': " + replication[dc];
+        }).join('') + " }";
+};
+
+/**
+ * Alter the replication of an existing keyspace if it doesn't match the
+ * storage group configuration (any more).
+ *
+ * Only groups that declare their replication, or whose datacenters were
+ * discovered, are checked. The localDc default only applies to new
+ * keyspaces, so that replication changed by hand is kept.
+ *
+ * @param {InternalRequest} req
+ * @param {string} durability
+ * @return {Promise<boolean>} whether the keyspace was altered
+ */
+DB.prototype._updateReplication = function(req, durability) {
+    var self = this;
+    var group = this._resolveStorageGroup(req.domain);
+    var discovered = group.hosts ? group.datacenters : this.datacenters;
+    if (!group.replication && !discovered) {
+        return P.resolve(false);
+    }
+    var replication = this._replication(durability, group);
+    return req.client.execute_p('select strategy_options from system.schema_keyspaces '
+            + 'where keyspace_name = ?', [req.keyspace],
+            { consistency: cass.types.consistencies.one })
+    .then(function(res) {
+        if (!res.rows.length) {
+            return false;
+        }
+        var current = JSON.parse(res.rows[0].strategy_options || '{}');
+        var unchanged = Object.keys(current).length === Object.keys(replication).length
+            && Object.keys(replication).every(function(dc) {
+                return String(current[dc]) === String(replication[dc]);
+            });
+        if (unchanged) {
+            return false;
+        }
+        var options = self._replicationOptions(durability, group);
+        return req.client.execute_p('ALTER KEYSPACE ' + cassID(req.keyspace)
+                + ' WITH REPLICATION = ' + options, [],
+                { consistency: req.consistency })
+        .then(function() {
+            self.log('warn/table/cassandra/replication', {
+                message: 'changed replication of keyspace ' + req.keyspace
+                    + '; run a repair to make existing data match the new replication',
+                keyspace: req.keyspace,
+                storage_group: group.name,
+                replication: options
+            });
+            return true;
+        });
     });
 };
 
@@ -795,7 +2527,8 @@ DB.prototype._createTable = function (req, schema, columnfamily) {
         Object.keys(schema.secondaryIndexes).forEach(function(idx) {
             var indexSchema = schema.secondaryIndexes[idx];
             tasks = tasks.then(function() {
-                return self._createTable(req, indexSchema, 'idx_' + idx +"_ever");
+                return self._createTable(req, indexSchema,
+                        dbu.indexColumnFamily(schema, idx));
             });
         });
     }
@@ -836,7 +2569,7 @@ DB.prototype._createTable = function (req, schema, columnfamily) {
     cql += ['(' + hashBits.join(',') + ')'].concat(rangeBits).join(',') + '))';
 
     // Default to leveled compaction strategy
-    cql += " WITH compaction = { 'class' : 'LeveledCompactionStrategy' }";
+    cql += ' WITH ' + dbu.getTableCompactionCQL(schema.options && schema.options.compaction);
 
     if (orderBits.length) {
         cql += ' and clustering order by ( ' + orderBits.join(',') + ' )';
@@ -846,6 +2579,7 @@ DB.prototype._createTable = function (req, schema, columnfamily) {
         // check if we support one of the desired ones
         cql += dbu.getTableCompressionCQL(schema.options.compression);
     }
+    cql += dbu.getTablePropertiesCQL(schema.options);
     //console.log(cql);
 
     // TODO: If the table already exists, check that the schema actually
@@ -859,7 +2593,7 @@ DB.prototype._createTable = function (req, schema, columnfamily) {
 
     // Execute the table creation query
     return tasks.then(function() {
-        return self.client.execute_p(cql, [], {consistency: req.consistency});
+        return req.client.execute_p(cql, [], {consistency: req.consistency});
     });
 };
 
@@ -868,11 +2602,11 @@ DB.prototype._dropDomainIndex = function(req) {
     var self = this;
     var cql = "select index_name from system.schema_columns where keyspace_name = ? "
         + " and columnfamily_name = ? and column_name = '_domain';";
-    return self.client.execute_p(cql, [req.keyspace, req.columnfamily], {prepare: true})
+    return req.client.execute_p(cql, [req.keyspace, req.columnfamily], {prepare: true})
     .then(function(res) {
         if (res.rows.length && res.rows[0].index_name) {
             // drop the index
-            return self.client.execute_p('drop index if exists ' + cassID(req.keyspace)
+            return req.client.execute_p('drop index if exists ' + cassID(req.keyspace)
                     + '.' + cassID(res.rows[0].index_name));
         }
     });
@@ -881,44 +2615,472 @@ DB.prototype._dropDomainIndex = function(req) {
 DB.prototype._createKeyspace = function (req, options) {
     var cql = 'create keyspace if not exists ' + cassID(req.keyspace)
         + ' WITH REPLICATION = ' + options;
-    return this.client.execute_p(cql, [],
+    return req.client.execute_p(cql, [],
             {consistency: req.consistency || this.defaultConsistency});
 };
 
 
-DB.prototype.dropTable = function (domain, table) {
+/**
+ * Drop a table for a domain.
+ *
+ * Several domains can share a keyspace through their storage group. As long
+ * as other domains still use the keyspace, only the rows belonging to this
+ * domain are deleted from the data and index tables. The keyspace is dropped
+ * along with the last domain.
+ *
+ * @param {string} domain
+ * @param {string} table
+ * @param {string} confirm; must be the table name, as a guard against
+ *        accidental drops
+ * @return {Promise}
+ */
+DB.prototype.dropTable = function (domain, table, confirm) {
+    var self = this;
+    if (confirm !== table) {
+        return P.reject(new dbu.ValidationError('Dropping a table requires '
+                + 'the confirm parameter to be set to the table name.'));
+    }
+    var keyspace = this._keyspaceName(domain, table);
+    return this._keyspaceDomains(keyspace)
+    .then(function(domains) {
+        var otherDomains = domains.filter(function(otherDomain) {
+            return otherDomain !== domain;
+        });
+        if (otherDomains.length) {
+            return otherDomains;
+        }
+        // Domains are only registered once they call createTable, so
+        // the registry is incomplete for tables created before it existed.
+        // Check the data before dropping the keyspace.
+        return self._makeInternalRequest(domain, table, { table: table })
+        .then(function(req) {
+            return req.schema ? self._findOtherDomain(req) : null;
+        })
+        .then(function(otherDomain) {
+            return otherDomain ? [otherDomain] : [];
+        });
+    })
+    .then(function(otherDomains) {
+        if (!otherDomains.length) {
+            return self._client(domain).execute_p('drop keyspace ' + cassID(keyspace), [],
+                    {consistency: self.defaultConsistency})
+            .then(function() {
+                // Recreate the keyspace from scratch if the table is
+                // created again
+                self._work.forget(keyspace);
+                self._invalidateSchema(keyspace);
+            });
+        }
+        self.log('warn/table/cassandra/dropTable', {
+            message: 'Deleting the rows of domain ' + domain + ' in keyspace '
+                + keyspace + ', which is shared with other domains',
+            keyspace: keyspace,
+            domains: otherDomains
+        });
+        return self._makeInternalRequest(domain, table, { table: table })
+        .then(function(req) {
+            if (req.schema) {
+                return self._deleteDomainRows(req);
+            }
+        });
+    })
+    .then(function() {
+        return self._unregisterTable(domain, table);
+    });
+};
+
+/**
+ * Delete all rows of a domain from a table's data and index column
+ * families, by enumerating the partition keys.
+ *
+ * @param {InternalRequest} req; a request for the table
+ * @return {Promise}
+ */
+DB.prototype._deleteDomainRows = function(req) {
+    var self = this;
+    var schema = req.schema;
+    var columnfamilies = [{ name: dbu.dataColumnFamily(schema), schema: schema }];
+    if (schema._indexMigration) {
+        columnfamilies.push({
+            name: schema._indexMigration.target,
+            schema: schema._indexMigration.schema
+        });
+    }
+    Object.keys(schema.secondaryIndexes).forEach(function(idx) {
+        columnfamilies.push({
+            name: dbu.indexColumnFamily(schema, idx),
+            schema: schema.secondaryIndexes[idx]
+        });
+    });
+
+    return P.each(columnfamilies, function(cf) {
+        // The partition key, starting with _domain
+        var hashKeys = cf.schema.index.filter(function(elem) {
+            return elem.type === 'hash';
+        }).map(function(elem) {
+            return elem.attribute;
+        });
+        var cfName = cassID(req.keyspace) + '.' + cassID(cf.name);
+        var selectCQL = 'select distinct ' + hashKeys.map(cassID).join(',')
+            + ' from ' + cfName;
+        var deleteCQL = 'delete from ' + cfName + ' where '
+            + hashKeys.map(function(key) {
+                return cassID(key) + ' = ?';
+            }).join(' and ');
+
+        return dbu.eachRow(req.client, selectCQL, [], { retries: 3 }, function(row) {
+            if (row._domain !== req.domain) {
+                return P.resolve();
+            }
+            var params = hashKeys.map(function(key) {
+                return row[key];
+            });
+            return req.client.execute_p(deleteCQL, params,
+                    { consistency: req.consistency, prepare: true });
+        });
+    });
+};
+
+/*
+ * Table registry
+ *
+ * Keyspace names are derived from the storage group and table name, partly
+ * hashed, so they can't be mapped back to logical tables. The registry keeps
+ * a list of the logical tables per domain in a separate keyspace.
+ */
+
+DB.prototype._registryTable = function(name) {
+    return cassID(this.registryKeyspace) + '.' + cassID(name || 'tables');
+};
+
+/**
+ * Create the registry keyspace and table, once per process.
+ *
+ * @return {Promise}
+ */
+DB.prototype._ensureRegistry = function() {
+    var self = this;
+    if (!this._registryReady) {
+        var consistency = { consistency: this.defaultConsistency };
+        this._registryReady = this.client.execute_p('create keyspace if not exists '
+                + cassID(this.registryKeyspace) + ' WITH REPLICATION = '
+                + this._replicationOptions(), [], consistency)
+        .then(function() {
+            return self.client.execute_p('create table if not exists '
+                + self._registryTable() + ' ('
+                + '"domain" text, "table" text, "storage_group" text, '
+                + '"keyspace" text, "version" int, "tid" timeuuid, '
+                + 'primary key ("domain", "table"))', [], consistency);
+        })
+        .then(function() {
+            // Reverse mapping, used to find the domains sharing a keyspace
+            return self.client.execute_p('create table if not exists '
+                + self._registryTable('keyspace_domains') + ' ('
+                + '"keyspace" text, "domain" text, '
+                + 'primary key ("keyspace", "domain"))', [], consistency);
+        })
+        .catch(function(err) {
+            // Try again on the next call
+            self._registryReady = null;
+            throw err;
+        });
+    }
+    return this._registryReady;
+};
+
+/**
+ * Record a table in the registry.
+ *
+ * @param {InternalRequest} req; a request for the table
+ * @param {number} version; the schema version
+ * @param {TimeUuid} tid; (optional) the creation tid. If not supplied, only
+ *        the version and location of the table are updated.
+ * @return {Promise}
+ */
+DB.prototype._registerTable = function(req, version, tid) {
+    var self = this;
+    var cql = 'update ' + this._registryTable()
+        + ' set "storage_group" = ?, "keyspace" = ?, "version" = ?';
+    var params = [this._resolveStorageGroup(req.domain).name, req.keyspace, version];
+    if (tid) {
+        cql += ', "tid" = ?';
+        params.push(tid);
+    }
+    cql += ' where "domain" = ? and "table" = ?';
+    params.push(req.domain, req.table);
+    var queryOptions = { consistency: req.consistency, prepare: true };
+    return this._ensureRegistry()
+    .then(function() {
+        return self.client.execute_p(cql, params, queryOptions);
+    })
+    .then(function() {
+        return self.client.execute_p('insert into '
+            + self._registryTable('keyspace_domains')
+            + ' ("keyspace", "domain") values (?, ?)',
+            [req.keyspace, req.domain], queryOptions);
+    });
+};
+
+/**
+ * Register a table that already existed before the registry was introduced,
+ * using the tid of its first schema as the creation tid.
+ *
+ * @param {InternalRequest} req; a request for the table
+ * @param {object} schema; the current schema
+ * @return {Promise}
+ */
+DB.prototype._registerExistingTable = function(req, schema) {
+    var self = this;
+    return this._ensureRegistry()
+    .then(function() {
+        return self.client.execute_p('select "tid" from ' + self._registryTable()
+            + ' where "domain" = ? and "table" = ?', [req.domain, req.table],
+            { consistency: req.consistency, prepare: true });
+    })
+    .then(function(res) {
+        if (res.rows.length) {
+            // Already registered
+            return;
+        }
+        return req.client.execute_p('select "tid" from ' + cassID(req.keyspace)
+            + '.' + cassID('meta') + ' where "key" = ? order by "tid" asc limit 1',
+            ['schema'], { consistency: req.consistency, prepare: true })
+        .then(function(metaRes) {
+            var tid = metaRes.rows.length ? metaRes.rows[0].tid : TimeUuid.now();
+            return self._registerTable(req, schema.version, tid);
+        });
+    });
+};
+
+DB.prototype._unregisterTable = function(domain, table) {
+    var self = this;
     var keyspace = this._keyspaceName(domain, table);
-    return this.client.execute_p('drop keyspace ' + cassID(keyspace), [],
-            {consistency: this.defaultConsistency});
+    var queryOptions = { consistency: this.defaultConsistency, prepare: true };
+    return this._ensureRegistry()
+    .then(function() {
+        return self.client.execute_p('delete from ' + self._registryTable()
+            + ' where "domain" = ? and "table" = ?', [domain, table], queryOptions);
+    })
+    .then(function() {
+        return self.client.execute_p('delete from '
+            + self._registryTable('keyspace_domains')
+            + ' where "keyspace" = ? and "domain" = ?', [keyspace, domain], queryOptions);
+    });
+};
+
+/**
+ * Scan the data column family of a table for rows of another domain.
+ *
+ * @param {InternalRequest} req
+ * @return {Promise<string|null>} the first other domain found, if any
+ */
+DB.prototype._findOtherDomain = function(req) {
+    var schema = req.schema;
+    var hashKeys = schema.index.filter(function(elem) {
+        return elem.type === 'hash';
+    }).map(function(elem) {
+        return elem.attribute;
+    });
+    var cql = 'select distinct ' + hashKeys.map(cassID).join(',') + ' from '
+        + cassID(req.keyspace) + '.' + cassID(dbu.dataColumnFamily(schema));
+    var found = null;
+    var stop = new Error('found another domain');
+    return dbu.eachRow(req.client, cql, [], { retries: 3 }, function(row) {
+        if (row._domain !== req.domain) {
+            found = row._domain;
+            // Stop the scan
+            throw stop;
+        }
+    })
+    .catch(function(err) {
+        if (err !== stop) {
+            throw err;
+        }
+    })
+    .then(function() {
+        return found;
+    });
+};
+
+/**
+ * List the registered domains using a keyspace.
+ *
+ * @param {string} keyspace
+ * @return {Promise<array>} domain names
+ */
+DB.prototype._keyspaceDomains = function(keyspace) {
+    var self = this;
+    return this._ensureRegistry()
+    .then(function() {
+        return self.client.execute_p('select "domain" from '
+            + self._registryTable('keyspace_domains') + ' where "keyspace" = ?',
+            [keyspace], { consistency: self.defaultConsistency, prepare: true });
+    })
+    .then(function(res) {
+        return res.rows.map(function(row) {
+            return row.domain;
+        });
+    });
+};
+
+/**
+ * List the tables registered for a domain.
+ *
+ * @param {string} domain
+ * @return {Promise<object>} with an items array; each item has the table
+ *         name, storage group, keyspace, schema version and creation tid
+ */
+DB.prototype.listTables = function(domain) {
+    var self = this;
+    return this._ensureRegistry()
+    .then(function() {
+        return self.client.execute_p('select "table", "storage_group", "keyspace", '
+            + '"version", "tid" from ' + self._registryTable() + ' where "domain" = ?',
+            [domain], { consistency: self.defaultConsistency, prepare: true });
+    })
+    .then(function(res) {
+        return {
+            items: res.rows.map(function(row) {
+                return {
+                    table: row.table,
+                    storage_group: row.storage_group,
+                    keyspace: row.keyspace,
+                    version: row.version,
+                    tid: row.tid && row.tid.toString()
+                };
+            })
+        };
+    });
 };
 
-DB.prototype.getTableSchema = function(domain, table) {
+DB.prototype._schemaRequest = function(domain, table, query) {
     var cacheKey = JSON.stringify([domain,table]);
-    var req = new InternalRequest({
+    return new InternalRequest({
         domain: domain,
         table: table,
         keyspace: this.keyspaceNameCache[cacheKey] || this._keyspaceName(domain, table),
-        query: { attributes: { key: 'schema' }, limit: 1 },
+        query: query,
         consistency: this.defaultConsistency,
         columnfamily: 'meta',
-        schema: this.infoSchemaInfo
+        schema: this.infoSchemaInfo,
+        client: this._client(domain)
+    });
+};
+
+function schemaNotFound() {
+    return new dbu.HTTPError({
+        status: 404,
+        body: {
+            type: 'not_found',
+            title: 'the requested table schema was not found'
+        }
     });
+}
+
+/**
+ * Get the current schema of a table, or the schema that was active at a
+ * point in time.
+ *
+ * @param {string} domain
+ * @param {string} table
+ * @param {string} at; optional tid or date
+ * @return {object} { tid: TimeUuid, schema: object }
+ */
+DB.prototype.getTableSchema = function(domain, table, at) {
+    if (at) {
+        var time = schemaTime(at);
+        return this.getSchemaHistory(domain, table)
+        .then(function(history) {
+            for (var i = 0; i < history.length; i++) {
+                if (dbu.tidNanoTime(history[i].tid) <= time) {
+                    return history[i];
+                }
+            }
+            throw schemaNotFound();
+        });
+    }
+    var req = this._schemaRequest(domain, table,
+            { attributes: { key: 'schema' }, limit: 1 });
     return this._get(req)
     .then(function(response) {
         if (!response.items.length) {
-            throw new dbu.HTTPError({
-                status: 404,
-                body: {
-                    type: 'notfound',
-                    title: 'the requested table schema was not found'
-                }
-            });
+            throw schemaNotFound();
         }
         var item = response.items[0];
         return { tid: item.tid, schema: JSON.parse(item.value) };
     });
 };
 
+/**
+ * Convert a schema tid or date to a time comparable to dbu.tidNanoTime.
+ *
+ * @param {string} at; a timeuuid or a date string
+ * @return {number}
+ */
+function schemaTime(at) {
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-1[0-9a-f]{3}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(at)) {
+        return dbu.tidNanoTime(TimeUuid.fromString(at));
+    }
+    var date = Date.parse(at);
+    if (isNaN(date)) {
+        throw new dbu.ValidationError('Invalid schema tid or date: ' + at);
+    }
+    return date;
+}
+
+/**
+ * List the schemas of a table, most recent first.
+ *
+ * @param {string} domain
+ * @param {string} table
+ * @return {array} of { tid: TimeUuid, schema: object }
+ */
+DB.prototype.getSchemaHistory = function(domain, table) {
+    var req = this._schemaRequest(domain, table, { attributes: { key: 'schema' } });
+    return this._get(req)
+    .then(function(response) {
+        if (!response.items.length) {
+            throw schemaNotFound();
+        }
+        return response.items.map(function(item) {
+            return { tid: item.tid, schema: JSON.parse(item.value) };
+        });
+    });
+};
+
+/**
+ * Roll a table back to a previous schema.
+ *
+ * The previous schema is migrated to like any other schema change, so the
+ * rollback is refused if the migration handlers don't support one of the
+ * changes. As schema versions only ever increase, it is stored with the next
+ * version.
+ *
+ * @param {string} domain
+ * @param {string} table
+ * @param {string} at; tid or date of the schema to roll back to
+ * @return {object} { tid: the tid of the restored schema, version }
+ */
+DB.prototype.rollbackTable = function(domain, table, at) {
+    var self = this;
+    if (!at) {
+        throw new dbu.ValidationError('The tid or date of the schema to roll back to is required.');
+    }
+    return P.join(
+        this.getTableSchema(domain, table),
+        this.getTableSchema(domain, table, at)
+    )
+    .spread(function(current, previous) {
+        var schema = extend(true, {}, previous.schema);
+        schema.table = table;
+        schema.version = (current.schema.version || 0) + 1;
+        return self.createTable(domain, schema)
+        .then(function() {
+            return { tid: previous.tid, version: schema.version };
+        });
+    });
+};
+
 /**
  * Wrap common internal request state
  */
@@ -931,6 +3093,7 @@ function InternalRequest (opts) {
     this.schema = opts.schema || null;
     this.columnfamily = opts.columnfamily || 'data';
     this.ttl = opts.ttl || null;
+    this.client = opts.client || null;
 }
 
 /**
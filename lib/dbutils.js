@@ -44,6 +44,32 @@ function HTTPError(response) {
 util.inherits(HTTPError, Error);
 dbu.HTTPError = HTTPError;
 
+/*
+ * Error thrown on invalid schemas, queries and other bad client input
+ *
+ * Mapped to a 400 response by the error classification in lib/errors.
+ */
+function ValidationError(message) {
+    Error.call(this);
+    Error.captureStackTrace(this, ValidationError);
+    this.name = this.constructor.name;
+    this.message = message;
+}
+util.inherits(ValidationError, Error);
+dbu.ValidationError = ValidationError;
+
+/**
+ * Compare two raw attribute values from Cassandra result rows.
+ */
+dbu.sameValue = function sameValue(a, b) {
+    var aIsNull = a === null || a === undefined;
+    var bIsNull = b === null || b === undefined;
+    if (aIsNull || bIsNull) {
+        return aIsNull === bIsNull;
+    }
+    return String(a) === String(b);
+};
+
 dbu.cassID = function cassID (name) {
     if (/^[a-zA-Z0-9_]+$/.test(name)) {
         return '"' + name + '"';
@@ -61,6 +87,44 @@ dbu.idxColumnFamily = function idxColumnFamily (name, bucket) {
     }
 };
 
+// Name of the column family holding a table's data. Primary index migrations
+// move the data to a new column family.
+dbu.dataColumnFamily = function dataColumnFamily (schema) {
+    return (schema && schema._dataCF) || 'data';
+};
+
+// Name of the column family holding a secondary index. Indexes rebuilt by
+// data migrations move to a new column family.
+dbu.indexColumnFamily = function indexColumnFamily (schema, index) {
+    return (schema && schema._indexCFs && schema._indexCFs[index])
+        || dbu.idxColumnFamily(index);
+};
+
+// Name of the data column holding an attribute. Attributes whose values were
+// converted to a new type move to a new column; See lib/columnBackfill.
+dbu.column = function column (schema, att) {
+    return (schema && schema._columns && schema._columns[att]) || att;
+};
+
+// Select an attribute under its own name
+function projection(schema, att) {
+    var col = dbu.column(schema, att);
+    if (col === att) {
+        return dbu.cassID(att);
+    } else {
+        return dbu.cassID(col) + ' as ' + dbu.cassID(att);
+    }
+}
+
+// Select all attributes, or * if they are stored under their own names
+function allAttributes(schema, always) {
+    if (!always && !(schema._columns && Object.keys(schema._columns).length)) {
+        return '*';
+    }
+    return Object.keys(schema.attributes).map(function(att) {
+        return projection(schema, att);
+    }).join(',');
+}
 
 // Create a deterministic TimeUuid from a date. Don't use outside of tests, use
 // TimeUuid.fromDate(date) with proper entropy instead.
@@ -167,6 +231,96 @@ dbu.eachRow = function eachRow(client, query, params, options, handler) {
     return processPage(null);
 };
 
+// Number of partitions and milliseconds between dbu.scanTable checkpoints
+var checkpointPartitions = 1000;
+var checkpointInterval = 30000;
+
+/**
+ * Scan all rows of a column family in token order.
+ *
+ * The handler is called with each row, which has the partition token as an
+ * extra _token attribute (a string). If options.checkpoint is set, it is
+ * called with the token of the last completed partition every few thousand
+ * partitions or seconds, and a scan can later be resumed after that token
+ * by passing it as options.token. With options.withTTL, the rows include
+ * the TTLs of their columns; See dbu.rowTTL.
+ *
+ * @param   {object} cassandra-driver Client instance
+ * @param   {string} keyspace
+ * @param   {string} columnfamily
+ * @param   {object} schema info object of the column family
+ * @param   {object} options map; optional token and checkpoint
+ * @param {function} function to invoke for each row
+ * @return a promise that resolves when all rows were handled
+ */
+dbu.scanTable = function scanTable(client, keyspace, columnfamily, schema, options, handler) {
+    var hashKeys = schema.index.filter(function(elem) {
+        return elem.type === 'hash';
+    }).map(function(elem) {
+        return dbu.cassID(elem.attribute);
+    }).join(',');
+    var columns = Object.keys(schema.attributes).map(function(att) {
+        return projection(schema, att);
+    });
+    if (options.withTTL) {
+        columns = columns.concat(ttlProjections(schema));
+    }
+    var cql = 'select token(' + hashKeys + ') as "_token",' + columns.join(',')
+        + ' from ' + dbu.cassID(keyspace) + '.' + dbu.cassID(columnfamily);
+    var params = [];
+    if (options.token) {
+        cql += ' where token(' + hashKeys + ') > ?';
+        params.push(cass.types.Long.fromString(options.token));
+    }
+
+    var partitionToken = options.token;
+    var partitions = 0;
+    var lastCheckpoint = Date.now();
+    return dbu.eachRow(client, cql, params, { retries: 3 }, function(row) {
+        row._token = row._token.toString();
+        var checkpoint = P.resolve();
+        if (row._token !== partitionToken) {
+            // All rows of the previous partition have been handled
+            partitions++;
+            if (options.checkpoint && partitionToken
+                    && (partitions >= checkpointPartitions
+                        || Date.now() - lastCheckpoint >= checkpointInterval)) {
+                checkpoint = P.resolve(options.checkpoint(partitionToken));
+                partitions = 0;
+                lastCheckpoint = Date.now();
+            }
+            partitionToken = row._token;
+        }
+        return checkpoint.then(function() {
+            return handler(row);
+        });
+    });
+};
+
+/**
+ * Turn a raw result row into attributes for a put, undoing the write
+ * conversions that the put will re-apply.
+ *
+ * @param {object} schema; schema info object
+ * @param {object} row; a raw result row
+ * @param {array} attributes; optional list of attributes to include,
+ *        defaults to all schema attributes
+ * @return {object} attributes
+ */
+dbu.rowToAttributes = function rowToAttributes(schema, row, attributes) {
+    var res = {};
+    (attributes || Object.keys(schema.attributes)).forEach(function(att) {
+        var val = row[att];
+        var convObj = schema.conversions[att];
+        if (val !== null && val !== undefined
+                && convObj && convObj.read && convObj.write) {
+            val = convObj.read(val);
+        }
+        res[att] = val;
+    });
+    return res;
+};
+
 /*
  * # Section 2: Schema validation, normalization and -handling
  */
@@ -175,14 +329,14 @@ dbu.validateIndexSchema = function validateIndexSchema(schema, index) {
 
     if (!Array.isArray(index) || !index.length) {
         //console.log(req);
-        throw new Error("Invalid index " + JSON.stringify(index));
+        throw new ValidationError("Invalid index " + JSON.stringify(index));
     }
 
     var haveHash = false;
 
     index.forEach(function(elem) {
         if (!schema.attributes[elem.attribute]) {
-            throw new Error('Index element ' + JSON.stringify(elem)
+            throw new ValidationError('Index element ' + JSON.stringify(elem)
                     + ' is not in attributes!');
         }
 
@@ -205,17 +359,62 @@ dbu.validateIndexSchema = function validateIndexSchema(schema, index) {
         case 'proj':
             break;
         default:
-            throw new Error('Invalid index element encountered! ' + JSON.stringify(elem));
+            throw new ValidationError('Invalid index element encountered! ' + JSON.stringify(elem));
         }
     });
 
     if (!haveHash) {
-        throw new Error("Indexes without hash are not yet supported!");
+        throw new ValidationError("Indexes without hash are not yet supported!");
     }
 
     return index;
 };
 
+// Intervals for 'interval' retention policies, mapping a time in ms to the
+// number of the UTC calendar interval it falls into
+dbu.revisionIntervals = {
+    hour: function(time) {
+        return Math.floor(time / 3600000);
+    },
+    day: function(time) {
+        return Math.floor(time / 86400000);
+    },
+    week: function(time) {
+        return Math.floor(time / (7 * 86400000));
+    },
+    month: function(time) {
+        var date = new Date(time);
+        return date.getUTCFullYear() * 12 + date.getUTCMonth();
+    },
+    year: function(time) {
+        return new Date(time).getUTCFullYear();
+    }
+};
+
+function validateRevPolicyIntervals(intervals) {
+    if (!Array.isArray(intervals) || !intervals.length) {
+        throw new ValidationError('intervals must be a non-empty array');
+    }
+    intervals.forEach(function(bucket, i) {
+        Object.keys(bucket).forEach(function(key) {
+            if (key !== 'interval' && key !== 'count') {
+                throw new ValidationError('Unknown retention interval attribute: ' + key);
+            }
+        });
+        if (!dbu.revisionIntervals[bucket.interval]) {
+            throw new ValidationError('Invalid retention interval ' + bucket.interval);
+        }
+        if (bucket.count === undefined) {
+            if (i !== intervals.length - 1) {
+                throw new ValidationError('Only the last retention interval '
+                        + 'can omit the count');
+            }
+        } else if (bucket.count !== Math.floor(bucket.count) || bucket.count < 1) {
+            throw new ValidationError('Retention interval count must be a positive integer');
+        }
+    });
+}
+
 dbu.validateAndNormalizeRevPolicy = function validateAndNormalizeRevPolicy(schema) {
     // FIXME: define as constants somewhere apropos
     var minGcGrace = 10;
@@ -230,32 +429,62 @@ dbu.validateAndNormalizeRevPolicy = function validateAndNormalizeRevPolicy(schem
             var val = policy[key];
             switch(key) {
             case 'type':
-                if (val !== 'all' && val !== 'latest') {
-                    throw new Error('Invalid revision retention policy type '+val);
+                if (val !== 'all' && val !== 'latest' && val !== 'interval'
+                        && val !== 'age') {
+                    throw new ValidationError('Invalid revision retention policy type '+val);
                 }
                 break;
             case 'grace_ttl':
                 if (typeof(val) !== 'number') {
-                    throw new Error('grace_ttl must be a number');
+                    throw new ValidationError('grace_ttl must be a number');
                 }
                 if (val < minGcGrace) {
-                    throw new Error('grace_ttl must be a miniumum of '+minGcGrace+' seconds');
+                    throw new ValidationError('grace_ttl must be a miniumum of '+minGcGrace+' seconds');
                 }
                 policy.grace_ttl = val;
                 break;
             case 'count':
                 if (typeof(val) !== 'number') {
-                    throw new Error('count must be a number');
+                    throw new ValidationError('count must be a number');
                 }
                 if ((val < minKeep) || (val > maxKeep)) {
-                    throw new Error('count must be a value between '+minKeep+' and '+maxKeep);
+                    throw new ValidationError('count must be a value between '+minKeep+' and '+maxKeep);
                 }
                 policy.count = val;
                 break;
+            case 'intervals':
+                if (policy.type !== 'interval') {
+                    throw new ValidationError('intervals are only supported by '
+                            + 'the interval revision retention policy');
+                }
+                validateRevPolicyIntervals(val);
+                break;
+            case 'max_age':
+                if (policy.type !== 'age') {
+                    throw new ValidationError('max_age is only supported by '
+                            + 'the age revision retention policy');
+                }
+                if (val !== Math.floor(val) || val < minGcGrace) {
+                    throw new ValidationError('max_age must be an integer number of '
+                            + 'seconds, with a minimum of ' + minGcGrace);
+                }
+                break;
             default:
-                throw new Error('Unknown revision policy attribute: ' + key);
+                throw new ValidationError('Unknown revision policy attribute: ' + key);
             }
         });
+        if (policy.type === 'interval') {
+            validateRevPolicyIntervals(policy.intervals);
+        }
+        if (policy.type === 'age' && policy.max_age === undefined) {
+            throw new ValidationError('max_age is required by the age revision '
+                    + 'retention policy');
+        }
+        if ((policy.type === 'interval' || policy.type === 'age')
+                && policy.count === undefined) {
+            // Always keep the latest revision
+            policy.count = 1;
+        }
     }
 
     return policy;
@@ -279,17 +508,48 @@ dbu.validateAndNormalizeSchema = function validateAndNormalizeSchema(schema) {
                             var cassAlgo = dbu.validCompressionAlgorithms[algo.algorithm];
                             return cassAlgo === undefined || cassAlgo === false;
                         })) {
-                    throw new Error('Invalid compression settings: '
+                    throw new ValidationError('Invalid compression settings: '
                             + JSON.stringify(val));
                 }
                 break;
             case 'durability':
                 if (val !== 'low' && val !== 'standard') {
-                    throw new Error ('Invalid durability level: ' + opts[key]);
+                    throw new ValidationError('Invalid durability level: ' + opts[key]);
+                }
+                break;
+            case 'compaction':
+                if (!val || !dbu.validCompactionStrategies[val.class]
+                        || Object.keys(val).some(function(opt) {
+                            return opt !== 'class' && !validPropertyValue(opt, val[opt]);
+                        })) {
+                    throw new ValidationError('Invalid compaction settings: '
+                            + JSON.stringify(val));
+                }
+                break;
+            case 'gc_grace_seconds':
+            case 'default_time_to_live':
+                if (val !== Math.floor(val) || val < 0) {
+                    throw new ValidationError('Invalid ' + key + ': ' + val);
+                }
+                break;
+            case 'caching':
+                if (!val || Object.keys(val).some(function(opt) {
+                            return !(opt === 'keys' && /^(ALL|NONE)$/.test(val[opt])
+                                || opt === 'rows_per_partition'
+                                    && (/^(ALL|NONE)$/.test(val[opt])
+                                        || val[opt] === Math.floor(val[opt]) && val[opt] > 0));
+                        })) {
+                    throw new ValidationError('Invalid caching settings: '
+                            + JSON.stringify(val));
+                }
+                break;
+            case 'bloom_filter_fp_chance':
+                if (typeof val !== 'number' || !(val > 0 && val <= 1)) {
+                    throw new ValidationError('Invalid bloom_filter_fp_chance: ' + val);
                 }
                 break;
             default:
-                throw new Error('Unknown option: ' + key);
+                throw new ValidationError('Unknown option: ' + key);
             }
         }
     }
@@ -321,6 +581,60 @@ dbu.indexKeys = function indexKeys (index) {
     return res;
 };
 
+var numericTypes = {
+    int: true,
+    varint: true,
+    decimal: true,
+    'float': true,
+    'double': true
+};
+
+/**
+ * Map the segments of a request path to the primary key attributes of a
+ * table, in index order. Internal key attributes (_domain, _tid) are skipped.
+ *
+ * @param {object} schema, the schema info for the logical table
+ * @param {array} path, an array of path segments
+ * @return {object} attributes object suitable for use in a query
+ */
+dbu.keyAttributesFromPath = function keyAttributesFromPath (schema, path) {
+    var keys = schema.iKeys.filter(function(key) {
+        return !/^_/.test(key);
+    });
+    if (path.length > keys.length) {
+        throw new ValidationError('Too many path segments for primary key '
+                + JSON.stringify(keys) + ': ' + path.join('/'));
+    }
+    var attributes = {};
+    path.forEach(function(segment, i) {
+        var key = keys[i];
+        var type = schema.attributes[key];
+        var invalid = function() {
+            return new ValidationError('Invalid value for key attribute '
+                    + key + ': ' + segment);
+        };
+        if (numericTypes[type]) {
+            // Number('') is 0
+            if (!segment.trim() || !isFinite(segment)) {
+                throw invalid();
+            }
+            attributes[key] = Number(segment);
+        } else if (type === 'boolean') {
+            if (segment !== 'true' && segment !== 'false') {
+                throw invalid();
+            }
+            attributes[key] = segment === 'true';
+        } else if (type === 'timeuuid') {
+            attributes[key] = TimeUuid.fromString(segment);
+        } else if (type === 'uuid') {
+            attributes[key] = Uuid.fromString(segment);
+        } else {
+            attributes[key] = segment;
+        }
+    });
+    return attributes;
+};
+
 dbu.makeIndexSchema = function makeIndexSchema (dataSchema, indexName) {
 
     var index = dataSchema.secondaryIndexes[indexName];
@@ -330,6 +644,10 @@ dbu.makeIndexSchema = function makeIndexSchema (dataSchema, indexName) {
         index: index,
         iKeys: [],
         iKeyMap: {},
+        // Non-key attributes projected into the index
+        proj: [],
+        // Index tables share the data table's options, like compression
+        options: dataSchema.options
     };
 
     // Build index attributes for the index schema
@@ -339,6 +657,8 @@ dbu.makeIndexSchema = function makeIndexSchema (dataSchema, indexName) {
         if (elem.type === 'hash' || elem.type === 'range') {
             s.iKeys.push(name);
             s.iKeyMap[name] = elem;
+        } else if (elem.type === 'proj') {
+            s.proj.push(name);
         }
     });
 
@@ -416,12 +736,86 @@ var schemaTypeToCQLTypeMap = {
 dbu.schemaTypeToCQLType = function(schemaType) {
     var cqlType = schemaTypeToCQLTypeMap[schemaType];
     if (!cqlType) {
-        throw new Error('Invalid schema type ' + cqlType);
+        throw new ValidationError('Invalid schema type ' + cqlType);
     }
     return cqlType;
 };
 
 
+// Type changes Cassandra can apply to existing columns in place
+var typeWidenings = {
+    int: 'varint',
+    string: 'blob',
+    timeuuid: 'uuid'
+};
+
+function identity(val) {
+    return val;
+}
+function toStringValue(val) {
+    if (val instanceof Date) {
+        return val.toISOString();
+    }
+    return String(val);
+}
+function toJSONValue(val) {
+    if (val instanceof Date) {
+        return val.toISOString();
+    }
+    return val;
+}
+
+// Type changes that need the values to be converted, mapping the read value
+// of the old type to a value to write for the new type
+var typeConversions = {
+    string: { json: identity },
+    json: { string: JSON.stringify },
+    int: { string: toStringValue, json: identity, double: identity },
+    varint: { string: toStringValue, json: identity, double: identity },
+    float: { string: toStringValue, json: identity, double: identity },
+    double: { string: toStringValue, json: identity },
+    decimal: { string: toStringValue, json: identity },
+    boolean: { string: toStringValue, json: identity },
+    timestamp: { string: toStringValue, json: toJSONValue },
+    timeuuid: { string: toStringValue, json: toStringValue },
+    uuid: { string: toStringValue, json: toStringValue }
+};
+
+/**
+ * Classify a change of an attribute's type.
+ *
+ * @param {string} from; the current schema type
+ * @param {string} to; the proposed schema type
+ * @return {object|null} { widening: true } for changes Cassandra can apply
+ *         in place, { convert: function } for changes that need the values
+ *         to be converted from their read value, or null if the change is
+ *         unsupported
+ */
+dbu.typeChange = function typeChange(from, to) {
+    var fromSet = /^set<(\w+)>$/.exec(from);
+    var toSet = /^set<(\w+)>$/.exec(to);
+    if (fromSet && toSet) {
+        var convertElem = typeConversions[fromSet[1]]
+            && typeConversions[fromSet[1]][toSet[1]];
+        if (!convertElem) {
+            return null;
+        }
+        return {
+            convert: function(vals) {
+                return vals.map(convertElem);
+            }
+        };
+    } else if (fromSet || toSet) {
+        return null;
+    } else if (typeWidenings[from] === to) {
+        return { widening: true };
+    } else if (typeConversions[from] && typeConversions[from][to]) {
+        return { convert: typeConversions[from][to] };
+    } else {
+        return null;
+    }
+};
+
 /**
  * Generates read/write conversion functions for set-typed attributes
  *
@@ -566,20 +960,28 @@ dbu.makeSchemaInfo = function makeSchemaInfo(schema, isMetaCF) {
 
 
     // Now create secondary index schemas
-    // Also, create a map from attribute to indexes
+    // Also, create maps from key and projected attributes to indexes
     var attributeIndexes = {};
+    var projectionIndexes = {};
+    var addToMap = function(map, att, si) {
+        if (!map[att]) {
+            map[att] = [si];
+        } else {
+            map[att].push(si);
+        }
+    };
     for (var si in psi.secondaryIndexes) {
         psi.secondaryIndexes[si] = dbu.makeIndexSchema(psi, si);
         var idx = psi.secondaryIndexes[si];
         idx.iKeys.forEach(function(att) {
-            if (!attributeIndexes[att]) {
-                attributeIndexes[att] = [si];
-            } else {
-                attributeIndexes[att].push(si);
-            }
+            addToMap(attributeIndexes, att, si);
+        });
+        idx.proj.forEach(function(att) {
+            addToMap(projectionIndexes, att, si);
         });
     }
     psi.attributeIndexes = attributeIndexes;
+    psi.projectionIndexes = projectionIndexes;
 
     if (!psi.revisionRetentionPolicy) {
         psi.revisionRetentionPolicy = { type: 'all' };
@@ -647,9 +1049,9 @@ dbu.buildCondition = function buildCondition (predicates, schema) {
     Object.keys(predicates).forEach(function(predKey) {
         var cql = '';
         var predObj = predicates[predKey];
-        cql += dbu.cassID(predKey);
+        cql += dbu.cassID(dbu.column(schema, predKey));
         if (predObj === undefined) {
-            throw new Error('Query error: attribute ' + JSON.stringify(predKey)
+            throw new ValidationError('Query error: attribute ' + JSON.stringify(predKey)
                     + ' is undefined');
         } else if (predObj === null || predObj.constructor !== Object) {
             // Default to equality
@@ -690,13 +1092,23 @@ dbu.buildCondition = function buildCondition (predicates, schema) {
                 case 'between':
                         cql += ' >= ?' + ' AND ';
                         params.push(convert(predKey, predArg[0]));
-                        cql += dbu.cassID(predKey) + ' <= ?';
+                        cql += dbu.cassID(dbu.column(schema, predKey)) + ' <= ?';
                         params.push(convert(predKey, predArg[1]));
                         break;
-                default: throw new Error ('Operator ' + predOp + ' not supported!');
+                case 'in':
+                    if (!Array.isArray(predArg) || !predArg.length) {
+                        throw new ValidationError('The argument to IN needs to be a non-empty array: '
+                                + JSON.stringify(predArg));
+                    }
+                    cql += ' IN (' + predArg.map(function() { return '?'; }).join(',') + ')';
+                    predArg.forEach(function(arg) {
+                        params.push(convert(predKey, arg));
+                    });
+                    break;
+                default: throw new ValidationError('Operator ' + predOp + ' not supported!');
                 }
             } else {
-                throw new Error ('Invalid predicate ' + JSON.stringify(predicates));
+                throw new ValidationError('Invalid predicate ' + JSON.stringify(predicates));
             }
         }
         conjunctions.push(cql);
@@ -734,7 +1146,7 @@ dbu.buildPutQuery = function(req) {
     var indexKVMap = {};
     schema.iKeys.forEach(function(key) {
         if (attributes[key] === undefined) {
-            throw new Error("Index attribute " + JSON.stringify(key) + " missing in "
+            throw new ValidationError("Index attribute " + JSON.stringify(key) + " missing in "
                     + JSON.stringify(query) + "; schema: " + JSON.stringify(schema, null, 2));
         } else {
             indexKVMap[key] = attributes[key];
@@ -764,6 +1176,20 @@ dbu.buildPutQuery = function(req) {
         }
     });
 
+    var backfill = schema._columnBackfill;
+    if (backfill) {
+        // Write the converted values to the new columns of a running
+        // column backfill as well
+        Object.keys(backfill.columns).forEach(function(key) {
+            var val = attributes[key];
+            if (val !== undefined && !schema.iKeyMap[key]) {
+                nonIndexKeys.push(backfill.columns[key]);
+                params.push(val === null ? null : backfill.convert[key](val));
+                placeholders.push('?');
+            }
+        });
+    }
+
 
     var using = '';
     var usingBits = [];
@@ -801,7 +1227,9 @@ dbu.buildPutQuery = function(req) {
         if (query.if === 'not exists') {
             cond = ' if not exists ';
         }
-        var proj = schema.iKeys.concat(nonIndexKeys).map(dbu.cassID).join(',');
+        var proj = schema.iKeys.concat(nonIndexKeys).map(function(key) {
+            return dbu.cassID(dbu.column(schema, key));
+        }).join(',');
         cql = 'insert into ' + dbu.cassID(req.keyspace) + '.' + dbu.cassID(req.columnfamily)
                 + ' (' + proj + ') values (';
         cql += placeholders.join(',') + ')' + cond + using;
@@ -818,14 +1246,16 @@ dbu.buildPutQuery = function(req) {
             condParamKeys = condResult.keys;
         }
 
-        var updateProj = nonIndexKeys.map(dbu.cassID).join(' = ?,') + ' = ? ';
+        var updateProj = nonIndexKeys.map(function(key) {
+            return dbu.cassID(dbu.column(schema, key));
+        }).join(' = ?,') + ' = ? ';
         cql += 'update ' + dbu.cassID(req.keyspace) + '.' + dbu.cassID(req.columnfamily)
                + using + ' set ' + updateProj + ' where ';
         cql += condRes.cql + cond;
         params = usingParams.concat(params, condRes.params, condParams);
 
     } else {
-        throw new Error("Can't Update or Insert");
+        throw new ValidationError("Can't Update or Insert");
     }
 
     return {
@@ -835,6 +1265,39 @@ dbu.buildPutQuery = function(req) {
 };
 
 
+// Columns ttl() can be selected for: Everything but keys and collections
+function ttlColumns(schema) {
+    return Object.keys(schema.attributes).filter(function(att) {
+        return !schema.iKeyMap[att] && !/^set</.test(schema.attributes[att]);
+    });
+}
+
+// Select the TTLs of a row's columns, as read by dbu.rowTTL
+function ttlProjections(schema) {
+    return ttlColumns(schema).map(function(att, i) {
+        return 'ttl(' + dbu.cassID(dbu.column(schema, att)) + ') as '
+            + dbu.cassID('_ttl_' + i);
+    });
+}
+
+/**
+ * Get the remaining TTL of a row selected with the withTTL query option, as
+ * the longest remaining TTL of its columns.
+ *
+ * @param {object} row
+ * @return {number|null} the TTL in seconds, or null if no column expires
+ */
+dbu.rowTTL = function rowTTL(row) {
+    var ttl = null;
+    Object.keys(row).forEach(function(att) {
+        if (/^_ttl_\d+$/.test(att) && row[att] !== null
+                && (ttl === null || row[att] > ttl)) {
+            ttl = row[att];
+        }
+    });
+    return ttl;
+};
+
 /**
  * CQL building for GET queries
  * @param {InternalRequest} req
@@ -845,31 +1308,43 @@ dbu.buildGetQuery = function(req) {
 
     var query = req.query;
     if (!query) {
-        throw new Error('Query missing!');
+        throw new ValidationError('Query missing!');
     }
     var schema = req.schema;
     if (query.index) {
         if (!schema.secondaryIndexes[query.index]) {
             // console.dir(cachedSchema);
-            throw new Error("Index not found: " + query.index);
+            throw new ValidationError("Index not found: " + query.index);
         }
+        req.columnfamily = dbu.indexColumnFamily(schema, query.index);
         schema = schema.secondaryIndexes[query.index];
-        req.columnfamily = dbu.idxColumnFamily(query.index);
     }
 
     if (query.proj) {
         if (Array.isArray(query.proj)) {
-            proj = query.proj.map(dbu.cassID).join(',');
+            proj = query.proj.map(function(att) {
+                return projection(schema, att);
+            }).join(',');
         } else if (query.proj.constructor === String) {
-            proj = dbu.cassID(query.proj);
+            proj = projection(schema, query.proj);
         }
     } else if (query.order) {
         // Work around 'order by' bug in cassandra when using *
         // Trying to change the natural sort order only works with a
         // projection in 2.0.9
         if (schema) {
-            proj = Object.keys(schema.attributes).map(dbu.cassID).join(',');
+            proj = allAttributes(schema, true);
         }
+    } else {
+        proj = allAttributes(schema);
+    }
+
+    if (query.withTTL && !query.distinct) {
+        if (proj === '*') {
+            proj = allAttributes(schema, true);
+        }
+        // Tables with only key and set attributes have no TTLs to select
+        proj = [proj].concat(ttlProjections(schema)).join(',');
     }
 
     if (query.distinct) {
@@ -888,7 +1363,7 @@ dbu.buildGetQuery = function(req) {
     Object.keys(attributes).forEach(function(key) {
         // query should not have non key attributes
         if (!schema.iKeyMap[key]) {
-            throw new Error("All request attributes need to be key attributes. Bad attribute: "
+            throw new ValidationError("All request attributes need to be key attributes. Bad attribute: "
                     + key);
         }
     });
@@ -905,18 +1380,18 @@ dbu.buildGetQuery = function(req) {
         for (var att in query.order) {
             var dir = query.order[att];
             if (dir !== 'asc' && dir !== 'desc') {
-                throw new Error("Invalid sort order " + dir + " on key " + att);
+                throw new ValidationError("Invalid sort order " + dir + " on key " + att);
             }
             var idxElem = schema.iKeyMap[att];
             if (!idxElem || idxElem.type !== 'range') {
-                throw new Error("Cannot order on attribute " + att
+                throw new ValidationError("Cannot order on attribute " + att
                     + "; needs to be a range index, but is " + idxElem);
             }
             var shouldBeReversed = dir !== idxElem.order;
             if (reversed === undefined) {
                 reversed = shouldBeReversed;
             } else if (reversed !== shouldBeReversed) {
-                throw new Error("Inconsistent sort order; Cassandra only supports "
+                throw new ValidationError("Inconsistent sort order; Cassandra only supports "
                         + "reversing the default sort order.");
             }
         }
@@ -958,6 +1433,81 @@ dbu.validCompressionBlockSizes = {
     1024: 1
 };
 
+dbu.validCompactionStrategies = {
+    leveled: 'LeveledCompactionStrategy',
+    size_tiered: 'SizeTieredCompactionStrategy',
+    date_tiered: 'DateTieredCompactionStrategy'
+};
+
+// Compaction sub-options are passed through to Cassandra, so restrict them to
+// plain names and values.
+function validPropertyValue(name, val) {
+    return /^\w+$/.test(name)
+        && (typeof val === 'number' || typeof val === 'boolean'
+            || typeof val === 'string' && /^[\w.\-]+$/.test(val));
+}
+
+// Table properties besides compression and compaction, with the values
+// Cassandra uses when they are not set
+dbu.tablePropertyDefaults = {
+    gc_grace_seconds: 864000,
+    caching: { keys: 'ALL', rows_per_partition: 'NONE' },
+    bloom_filter_fp_chance: 0.01,
+    default_time_to_live: 0
+};
+
+function cqlMap(obj) {
+    return '{ ' + Object.keys(obj).map(function(key) {
+        return "'" + key + "' : '" + obj[key] + "'";
+    }).join(', ') + ' }';
+}
+
+/**
+ * Build the compaction table property.
+ *
+ * @param {object} compaction; the compaction option, defaults to leveled
+ *        compaction
+ * @return {string} CQL
+ */
+dbu.getTableCompactionCQL = function(compaction) {
+    compaction = compaction || { class: 'leveled' };
+    var opts = { class: dbu.validCompactionStrategies[compaction.class] };
+    Object.keys(compaction).forEach(function(key) {
+        if (key !== 'class') {
+            opts[key] = compaction[key];
+        }
+    });
+    return 'compaction = ' + cqlMap(opts);
+};
+
+/**
+ * Build the table properties besides compression and compaction.
+ *
+ * @param {object} options; the schema options
+ * @param {boolean} withDefaults; include unset properties with their default
+ *        value, so that removed options are reset on ALTER TABLE
+ * @return {string} CQL, with each property prefixed by ' and '
+ */
+dbu.getTablePropertiesCQL = function(options, withDefaults) {
+    options = options || {};
+    var cql = '';
+    Object.keys(dbu.tablePropertyDefaults).forEach(function(key) {
+        var val = options[key];
+        if (val === undefined && withDefaults) {
+            val = dbu.tablePropertyDefaults[key];
+            if (key === 'bloom_filter_fp_chance') {
+                // Cassandra's default depends on the compaction strategy
+                var compaction = options.compaction && options.compaction.class;
+                val = !compaction || compaction === 'leveled' ? 0.1 : 0.01;
+            }
+        }
+        if (val !== undefined) {
+            cql += ' and ' + key + ' = ' + (key === 'caching' ? cqlMap(val) : val);
+        }
+    });
+    return cql;
+};
+
 dbu.getTableCompressionCQL = function(compressions) {
     for (var i = 0; i < compressions.length; i++) {
         var option = compressions[i];
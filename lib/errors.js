@@ -0,0 +1,153 @@
+"use strict";
+
+/*
+ * Error classification
+ *
+ * Maps internal, validation and Cassandra driver errors to HTTP error
+ * responses with stable type URIs. Stack traces and driver internals are
+ * never included in the response; callers should log them instead.
+ */
+
+var cass = require('cassandra-driver');
+var dbu = require('./dbutils');
+
+var errorCodes = cass.types.responseErrorCodes;
+
+// Prefix for the error type URIs
+var typeBase = 'https://restbase.org/errors/';
+
+// Number of seconds clients should wait before retrying after a 503
+var retryAfter = 5;
+
+/**
+ * Expand a short error type to a full type URI.
+ *
+ * @param {string} type; a short type name like 'not_found', or a full URI
+ * @return {string} the type URI
+ */
+function typeURI(type) {
+    if (/^https?:\/\//.test(type)) {
+        return type;
+    } else {
+        return typeBase + type;
+    }
+}
+
+function unavailable() {
+    return {
+        status: 503,
+        headers: { 'retry-after': String(retryAfter) },
+        body: {
+            type: 'unavailable',
+            title: 'Storage backend temporarily unavailable'
+        }
+    };
+}
+
+/**
+ * Whether an error was thrown by the Cassandra driver. Their messages can
+ * contain CQL and cluster details, so they are only logged.
+ *
+ * @param {Error} err
+ * @return {boolean}
+ */
+function isDriverError(err) {
+    return err instanceof cass.errors.ResponseError
+        || err.name in { NoHostAvailableError: 1, OperationTimedOutError: 1, ArgumentError: 1 };
+}
+
+/**
+ * Classify an error thrown by the Cassandra driver.
+ *
+ * @param {Error} err
+ * @return {object|undefined} response object, or undefined if the error is
+ *         not a recognized driver error
+ */
+function classifyDriverError(err) {
+    if (err instanceof cass.errors.ResponseError) {
+        switch (err.code) {
+        case errorCodes.unavailableException:
+        case errorCodes.overloaded:
+        case errorCodes.isBootstrapping:
+        case errorCodes.readTimeout:
+            return unavailable();
+        case errorCodes.writeTimeout:
+            return {
+                status: 504,
+                body: {
+                    type: 'timeout',
+                    title: 'Timeout while writing to the storage backend'
+                }
+            };
+        default:
+            // Including syntax errors and invalid queries, which are built
+            // by this module and thus bugs: 500
+            return;
+        }
+    }
+
+    switch (err.name) {
+    case 'NoHostAvailableError':
+    case 'OperationTimedOutError':
+        return unavailable();
+    case 'ArgumentError':
+        // Values that could not be encoded for the column type
+        return {
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title: 'Invalid query parameter'
+            }
+        };
+    default:
+        return;
+    }
+}
+
+/**
+ * Convert an error into a response object.
+ *
+ * @param {Error} err
+ * @param {object} defaults; type and title to use for unclassified errors,
+ *        which are returned as a 500
+ * @return {object} response object with status, body and optional headers
+ */
+function toResponse(err, defaults) {
+    var response;
+    if (err instanceof dbu.HTTPError || (err.status >= 400 && err.body)) {
+        response = {
+            status: err.status,
+            body: err.body || {}
+        };
+        if (err.headers) {
+            response.headers = err.headers;
+        }
+    } else if (err instanceof dbu.ValidationError) {
+        response = {
+            status: 400,
+            body: {
+                type: 'bad_request',
+                title: err.message
+            }
+        };
+    } else {
+        response = classifyDriverError(err) || {
+            status: 500,
+            body: {
+                type: defaults.type,
+                title: defaults.title
+            }
+        };
+    }
+
+    if (response.body.type) {
+        response.body.type = typeURI(response.body.type);
+    }
+    return response;
+}
+
+module.exports = {
+    typeURI: typeURI,
+    isDriverError: isDriverError,
+    toResponse: toResponse
+};
@@ -8,13 +8,18 @@ var DB = require('./db');
 
 P.promisifyAll(cass, { suffix: '_p' });
 
-function makeClient (options) {
+/**
+ * Create a Cassandra client.
+ *
+ * @param {object} conf; with hosts, and optionally localDc, username,
+ *        password and maxPrepared
+ * @param {function} log
+ * @return {cass.Client} the client, not connected yet
+ */
+function makeCassandraClient (conf, log) {
     var clientOpts = {};
-    var conf = options.conf;
     clientOpts.keyspace = conf.keyspace || 'system';
     clientOpts.contactPoints = conf.hosts;
-    // Default to 'datacenter1'
-    if (!conf.localDc) { conf.localDc = 'datacenter1'; }
     // See http://www.datastax.com/drivers/nodejs/2.0/module-policies_loadBalancing-DCAwareRoundRobinPolicy.html
     clientOpts.policies = {
         loadBalancing: new loadBalancing.TokenAwarePolicy(
@@ -50,15 +55,52 @@ function makeClient (options) {
         }
 
         level += '/table/cassandra/driver';
-        options.log(level, {
+        log(level, {
             message: message,
             info: info
         });
     });
 
-    return client.connect_p()
+    return client;
+}
+
+function makeClient (options) {
+    var conf = options.conf;
+    // Default to 'datacenter1'
+    if (!conf.localDc) { conf.localDc = 'datacenter1'; }
+    var client = makeCassandraClient(conf, options.log);
+
+    // Storage groups with their own hosts are stored in a separate cluster.
+    // Settings not specified by the group are inherited.
+    var groupClients = {};
+    (conf.storage_groups || []).forEach(function(group) {
+        if (group.hosts) {
+            groupClients[group.name] = makeCassandraClient({
+                hosts: group.hosts,
+                localDc: group.localDc || conf.localDc,
+                username: group.username || conf.username,
+                password: group.password || conf.password,
+                maxPrepared: conf.maxPrepared
+            }, options.log);
+        }
+    });
+
+    var clients = [client].concat(Object.keys(groupClients).map(function(name) {
+        return groupClients[name];
+    }));
+    return P.map(clients, function(cl) {
+        return cl.connect_p();
+    })
     .then(function() {
-        return new DB(client, options);
+        var db = new DB(client, options, groupClients);
+        if (conf.discoverDatacenters) {
+            // Replicate to all datacenters of each cluster by default
+            return db._discoverDatacenters()
+            .then(function() {
+                return db;
+            });
+        }
+        return db;
     });
 }
 
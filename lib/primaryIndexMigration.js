@@ -0,0 +1,426 @@
+"use strict";
+
+var P = require('bluebird');
+var dbu = require('./dbutils');
+
+/*
+ * Primary index migrations
+ *
+ * Cassandra can't change the primary key of a table, nor convert the values of
+ * a column to a different type. Such changes are migrated by copying the data
+ * to a new (shadow) column family:
+ *
+ * 1) The shadow column family is created with the new schema, and writes
+ *    are duplicated to it in the same batch (see DB#_buildPutQueries).
+ * 2) Once other processes had time to pick up the migration (one schema
+ *    refresh interval), the old column family is copied in token order,
+ *    with checkpoints.
+ * 3) Once every row of the old column family is found in the new one, the
+ *    new schema is stored, which switches reads and writes to the new
+ *    column family (see DB#_loadStorageLayout). Processes that still use the
+ *    old schema keep writing to both until they pick up the new one.
+ * 4) The secondary indexes are rebuilt in new column families, once other
+ *    processes stopped writing to the old ones. Reads of them are refused
+ *    until that is complete.
+ * 5) After a grace period for other processes to pick up the new schema, the
+ *    old column families are dropped. Writes of processes still using them
+ *    fail with a schema mismatch, and are retried with the reloaded schema.
+ *
+ * If rows could not be copied or verified, the migration fails and the
+ * shadow column families are dropped. Storing the new schema again starts
+ * over.
+ *
+ * Type changes that don't come with a primary index change are migrated by
+ * a lib/columnBackfill instead, which shares the state and steps 3) to 5).
+ *
+ * The state is kept in the meta table under the 'primary_index_migration'
+ * key, as an object with
+ * - status: 'copying', 'failed' or 'done'
+ * - type: 'copy', or 'backfill' for column backfills
+ * - source, target: the old and new data column family names
+ * - schema: the new schema
+ * - columns: for backfills, the new column of each converted attribute
+ * - indexes: the new column family of each rebuilt secondary index
+ * - oldStorage, newStorage: the column families and columns only the old
+ *   and the new schema use
+ * - token: the last copied partition token
+ * - retired: whether the unused storage (the old one, or the new one of a
+ *   failed migration) was dropped
+ */
+
+// Minimum time to keep the old column family around after the switch, in ms
+var retireAfter = 10 * 60 * 1000;
+
+/**
+ * Map attributes of the old schema to the new one, converting the values of
+ * attributes with a changed type.
+ *
+ * @param {object} sourceSchema; old schema info object
+ * @param {object} targetSchema; new schema info object
+ * @param {object} attributes; attribute values as read from the old schema
+ * @return {object} attributes for the new schema
+ */
+function targetAttributes(sourceSchema, targetSchema, attributes) {
+    var res = {};
+    Object.keys(targetSchema.attributes).forEach(function(att) {
+        var val = attributes[att];
+        if (val === undefined) {
+            return;
+        }
+        var from = sourceSchema.attributes[att];
+        var to = targetSchema.attributes[att];
+        if (val !== null && from && from !== to) {
+            var change = dbu.typeChange(from, to);
+            if (change && change.convert) {
+                val = change.convert(val);
+            }
+        }
+        res[att] = val;
+    });
+    if (res[targetSchema.tid] === undefined) {
+        // The hidden _tid was added or removed
+        res[targetSchema.tid] = attributes[sourceSchema.tid];
+    }
+    return res;
+}
+
+/**
+ * Build the shadow write for a put during a migration.
+ *
+ * @param {InternalRequest} req; the put request, using the old schema
+ * @return {object} queryInfo for the write to the shadow column family
+ */
+function buildShadowPutQuery(req) {
+    var migration = req.schema._indexMigration;
+    return dbu.buildPutQuery(req.extend({
+        columnfamily: migration.target,
+        schema: migration.schema,
+        query: {
+            attributes: targetAttributes(req.schema, migration.schema,
+                    req.query.attributes),
+            timestamp: req.query.timestamp
+        }
+    }));
+}
+
+/**
+ * Runs the copy, verification and switch of a primary index migration.
+ *
+ * @param {DB} db
+ * @param {InternalRequest} req; a request carrying the old schema
+ * @param {object} state; the migration state
+ */
+function PrimaryIndexMigration (db, req, state) {
+    this.db = db;
+    this.req = req.extend({ columnfamily: state.source });
+    this.state = state;
+    this.targetSchema = dbu.makeSchemaInfo(state.schema);
+}
+
+PrimaryIndexMigration.prototype._saveState = function (update) {
+    Object.keys(update).forEach(function(key) {
+        this.state[key] = update[key];
+    }, this);
+    return this.db._savePrimaryIndexMigration(this.req, this.state,
+            update.status !== undefined);
+};
+
+/**
+ * Map a row of the old column family to attributes for the new one.
+ *
+ * @param {object} row; a raw row of the old column family
+ * @return {object} attributes for a put to the new column family
+ */
+PrimaryIndexMigration.prototype._targetAttributes = function (row) {
+    var sourceSchema = this.req.schema;
+    var targetSchema = this.targetSchema;
+    var sourceAttributes = dbu.rowToAttributes(sourceSchema, row);
+    // Attributes with a changed type are converted from their read value
+    Object.keys(targetSchema.attributes).forEach(function(att) {
+        var convObj = sourceSchema.conversions[att];
+        if (sourceSchema.attributes[att]
+                && sourceSchema.attributes[att] !== targetSchema.attributes[att]
+                && row[att] !== null && row[att] !== undefined
+                && convObj && convObj.read) {
+            sourceAttributes[att] = convObj.read(row[att]);
+        }
+    });
+    return targetAttributes(sourceSchema, targetSchema, sourceAttributes);
+};
+
+PrimaryIndexMigration.prototype._copy = function () {
+    var self = this;
+    var sourceSchema = this.req.schema;
+    var failed = 0;
+    var options = {
+        token: this.state.token,
+        checkpoint: function(token) {
+            return self._saveState({ token: token });
+        }
+    };
+    return dbu.scanTable(this.req.client, this.req.keyspace, this.state.source,
+            sourceSchema, options, function(row) {
+        return P.try(function() {
+            var queryInfo = dbu.buildPutQuery(self.req.extend({
+                domain: row._domain,
+                columnfamily: self.state.target,
+                schema: self.targetSchema,
+                query: {
+                    attributes: self._targetAttributes(row),
+                    timestamp: dbu.tidNanoTime(row[sourceSchema.tid])
+                }
+            }));
+            return self.req.client.execute_p(queryInfo.cql, queryInfo.params,
+                    { consistency: self.req.consistency, prepare: true });
+        })
+        .catch(function(e) {
+            // Typically a row without a value for a new key attribute
+            failed++;
+            self.db.log('error/table/cassandra/primaryIndexMigration', {
+                message: 'Could not copy row: ' + e.message,
+                keyspace: self.req.keyspace,
+                err: e
+            });
+        });
+    })
+    .then(function() {
+        return failed;
+    });
+};
+
+// The value of an attribute as written by a put, for comparisons
+function storedValue(schema, att, val) {
+    var convObj = schema.conversions[att];
+    if (val !== null && val !== undefined && convObj && convObj.write) {
+        return convObj.write(val);
+    }
+    return val;
+}
+
+/**
+ * Check that every row of the old column family made it to the shadow column
+ * family: Its row with the same key needs to hold the same values, or a
+ * later write. Rows that differ only in attributes that are no longer part
+ * of the key are merged, and the latest write wins.
+ *
+ * @return {Promise<boolean>} whether all rows were found
+ */
+PrimaryIndexMigration.prototype._verify = function () {
+    var self = this;
+    var sourceSchema = this.req.schema;
+    var targetSchema = this.targetSchema;
+    var targetAtts = Object.keys(targetSchema.attributes).filter(function(att) {
+        return att !== '_domain';
+    });
+    var rows = 0;
+    var mismatches = 0;
+    return dbu.scanTable(this.req.client, this.req.keyspace, this.state.source,
+            sourceSchema, {}, function(row) {
+        rows++;
+        var attributes = self._targetAttributes(row);
+        var keyAttributes = {};
+        targetSchema.iKeys.forEach(function(key) {
+            if (key !== '_domain') {
+                keyAttributes[key] = attributes[key];
+            }
+        });
+        return P.try(function() {
+            // Not using DB#_get, which skips deleted rows
+            var queryInfo = dbu.buildGetQuery(self.req.extend({
+                domain: row._domain,
+                columnfamily: self.state.target,
+                schema: targetSchema,
+                query: {
+                    attributes: keyAttributes,
+                    limit: 1
+                }
+            }));
+            return self.req.client.execute_p(queryInfo.cql, queryInfo.params,
+                    { consistency: self.req.consistency, prepare: true });
+        })
+        .then(function(result) {
+            var target = result.rows[0];
+            if (!target) {
+                mismatches++;
+                return;
+            }
+            var copied = dbu.rowToAttributes(targetSchema, target);
+            var matches = targetAtts.every(function(att) {
+                return dbu.sameValue(storedValue(targetSchema, att, attributes[att]),
+                        storedValue(targetSchema, att, copied[att]));
+            });
+            var newer = dbu.tidNanoTime(target[targetSchema.tid])
+                > dbu.tidNanoTime(row[sourceSchema.tid]);
+            if (!matches && !newer) {
+                mismatches++;
+            }
+        });
+    })
+    .then(function() {
+        self.state.verifiedRows = rows;
+        self.state.mismatches = mismatches;
+        return !mismatches;
+    });
+};
+
+PrimaryIndexMigration.prototype._switch = function () {
+    var self = this;
+    // Rebuilt indexes are refused for reads until their build is complete
+    return P.each(Object.keys(this.state.indexes), function(idx) {
+        // A build of the old index must not mark the new one as done
+        self.db._cancelIndexBuild(self.req.keyspace, idx);
+        return self.db._saveIndexBuild(self.req, idx, {
+            status: 'building',
+            token: null
+        });
+    })
+    .then(function() {
+        // Storing the schema switches reads and writes to the new storage
+        return self._putSchema();
+    })
+    .then(function() {
+        self.db._initSchemaCache();
+        return self._saveState({ status: 'done', token: null, retired: false });
+    })
+    .then(function() {
+        return self.db._registerTable(self.req, self.state.schema.version);
+    })
+    .then(function() {
+        return self._rebuildIndexes();
+    });
+};
+
+PrimaryIndexMigration.prototype._putSchema = function () {
+    return this.db._put(this.req.extend({
+        columnfamily: 'meta',
+        schema: this.db.infoSchemaInfo,
+        query: {
+            attributes: {
+                key: 'schema',
+                value: this.state.schema
+            }
+        }
+    }));
+};
+
+/**
+ * Build the secondary indexes that moved to new column families from the
+ * migrated data.
+ *
+ * @return a promise that resolves once the builds were started
+ */
+PrimaryIndexMigration.prototype._rebuildIndexes = function () {
+    var self = this;
+    var indexes = Object.keys(this.state.indexes);
+    if (!indexes.length) {
+        return P.resolve();
+    }
+    // Processes still using the old schema update the old indexes, so the
+    // builds would miss their writes
+    return P.delay(this.db._schemaRefreshInterval())
+    .then(function() {
+        return self.db._makeInternalRequest(self.req.domain,
+                self.state.schema.table, {});
+    })
+    .then(function(req) {
+        indexes.forEach(function(idx) {
+            self.db._startIndexBuild(req, idx);
+        });
+    });
+};
+
+/**
+ * Run the migration.
+ *
+ * @return a promise that resolves once the new schema is in use, or the
+ *         migration failed. The unused column family is kept; See #retire.
+ */
+PrimaryIndexMigration.prototype.run = function () {
+    var self = this;
+    // Other processes need to write to both column families before rows
+    // are copied, or their writes might be missed
+    return P.delay(this.state.token ? 0 : this.db._schemaRefreshInterval())
+    .then(function() {
+        return self._copy();
+    })
+    .then(function(failed) {
+        if (failed) {
+            return false;
+        }
+        return self._verify();
+    })
+    .then(function(verified) {
+        if (!verified) {
+            self.db.log('error/table/cassandra/primaryIndexMigration', {
+                message: 'Verification of the copied data failed',
+                keyspace: self.req.keyspace,
+                verifiedRows: self.state.verifiedRows,
+                mismatches: self.state.mismatches
+            });
+            return self._saveState({ status: 'failed', retired: false });
+        }
+        return self._switch();
+    });
+};
+
+/**
+ * The time to keep the old column family around after the switch, which
+ * gives other processes enough time to pick up the new schema.
+ *
+ * @return {number} in milliseconds
+ */
+PrimaryIndexMigration.prototype.retireDelay = function () {
+    return Math.max(retireAfter, 2 * this.db._schemaRefreshInterval());
+};
+
+/**
+ * Drop the column families and columns that are no longer used: The old
+ * ones of a completed migration, or the new ones of a failed migration.
+ *
+ * @return a promise that resolves when they were dropped
+ */
+PrimaryIndexMigration.prototype.retire = function () {
+    var self = this;
+    var req = this.req;
+    var failed = this.state.status === 'failed';
+    var storage = failed ? this.state.newStorage : this.state.oldStorage;
+    this.db.log('warn/table/cassandra/primaryIndexMigration', {
+        message: 'Dropping unused column families and columns',
+        keyspace: req.keyspace,
+        columnfamilies: storage.columnfamilies,
+        columns: storage.columns
+    });
+    return P.each(storage.columnfamilies, function(cf) {
+        var cql = 'DROP TABLE IF EXISTS ' + dbu.cassID(req.keyspace) + '.'
+            + dbu.cassID(cf);
+        return req.client.execute_p(cql, [], { consistency: req.consistency });
+    })
+    .then(function() {
+        return P.each(storage.columns, function(col) {
+            var cql = 'ALTER TABLE ' + dbu.cassID(req.keyspace) + '.'
+                + dbu.cassID(self.state.source) + ' DROP ' + dbu.cassID(col);
+            return req.client.execute_p(cql, [], { consistency: req.consistency })
+            .catch(function(e) {
+                if (!/^Column \S+ was not found in table/.test(e.message)) {
+                    throw e;
+                }
+                // Else: Already dropped
+            });
+        });
+    })
+    .then(function() {
+        if (failed) {
+            return self.db._dropStorageLayout(req, self.state.schema.version);
+        }
+    })
+    .then(function() {
+        return self._saveState({ retired: true });
+    });
+};
+
+module.exports = {
+    retireAfter: retireAfter,
+    storedValue: storedValue,
+    buildShadowPutQuery: buildShadowPutQuery,
+    PrimaryIndexMigration: PrimaryIndexMigration
+};
@@ -4,54 +4,306 @@ var dbu = require('./dbutils');
 var P = require('bluebird');
 
 /**
- * Applies a revision retention policy to a sequence of rows.
+ * Applies a revision retention policy to a sequence of rows, in descending
+ * tid order.
+ *
+ * Policies:
+ * - all: keep all revisions
+ * - latest: keep the latest `count` revisions
+ * - interval: keep the latest `count` revisions, and the latest revision of
+ *   each calendar interval in `intervals`. Each element of `intervals` covers
+ *   the last `count` intervals (e.g. days) before the next element takes
+ *   over; a last element without count covers all older revisions.
+ * - age: keep the latest `count` revisions, and all revisions younger than
+ *   `max_age` seconds
+ *
+ * Revisions that aren't kept are expired by re-writing them with grace_ttl.
  *
  * @param {object} db; instance of DB
- * @param {object} request; request to use as baseline
+ * @param {object} request; request to use as baseline. The attributes of its
+ *        query are re-written when expiring a row.
  * @param {object} schema; the table schema
+ * @param {object} options; optional:
+ *        - dryRun: only decide which rows to expire, without writing
  */
-function RevisionPolicyManager(db, request, schema) {
+function RevisionPolicyManager(db, request, schema, options) {
     this.db = db;
     this.request = request;
     this.schema = schema;
+    this.dryRun = options && options.dryRun;
     this.policy = schema.revisionRetentionPolicy;
     this.noop = this.policy.type === 'all';
     this.count = 0;
+    // Intervals that already kept a revision, for interval policies
+    this.keptIntervals = {};
+    this.now = Date.now();
+    // Number of failed expiry writes
+    this.failures = 0;
 }
 
+/**
+ * Decide whether to keep a row.
+ *
+ * @param {object} row
+ * @return {boolean}
+ */
+RevisionPolicyManager.prototype._keep = function(row) {
+    if (this.count < this.policy.count) {
+        this.count++;
+        return true;
+    }
+    if (this.policy.type === 'interval') {
+        return this._keepInterval(row);
+    } else if (this.policy.type === 'age') {
+        var time = dbu.tidNanoTime(row[this.schema.tid]);
+        return this.now - time < this.policy.max_age * 1000;
+    }
+    return false;
+};
+
+RevisionPolicyManager.prototype._keepInterval = function(row) {
+    var time = dbu.tidNanoTime(row[this.schema.tid]);
+    var intervals = this.policy.intervals;
+    for (var i = 0; i < intervals.length; i++) {
+        var slotOf = dbu.revisionIntervals[intervals[i].interval];
+        var slot = slotOf(time);
+        if (intervals[i].count && slotOf(this.now) - slot >= intervals[i].count) {
+            // Older than this bucket
+            continue;
+        }
+        var key = i + ':' + slot;
+        if (this.keptIntervals[key]) {
+            return false;
+        }
+        this.keptIntervals[key] = true;
+        return true;
+    }
+    // Older than all buckets
+    return false;
+};
+
 /**
  * Process one row in the sequence.
  *
  * @param {object} row; a row object.
- * @return a promise that resolves when the corresponding update is complete.
+ * @return a promise that resolves when the corresponding update is complete,
+ *         to true if the row was expired.
  */
 RevisionPolicyManager.prototype.handleRow = function(row) {
     var self = this;
 
-    if (self.noop) {
-        return P.resolve();
+    if (self.noop || self._keep(row)) {
+        return P.resolve(false);
     }
-
-    if (self.count < self.policy.count) {
-        self.count++;
-        return P.resolve();
+    if (self.dryRun) {
+        return P.resolve(true);
     }
 
-    var request = self.request.extend({ ttl: self.policy.grace_ttl });
-    Object.keys(request.query.attributes).forEach(function(key) {
-        request.query.attributes[key] = row[key];
+    // Null values don't need to expire
+    var attributes = dbu.rowToAttributes(self.schema, row,
+            Object.keys(self.request.query.attributes));
+    Object.keys(attributes).forEach(function(key) {
+        if (attributes[key] === null || attributes[key] === undefined) {
+            delete attributes[key];
+        }
+    });
+    var request = self.request.extend({
+        domain: row._domain || self.request.domain,
+        ttl: self.policy.grace_ttl,
+        query: {
+            attributes: attributes,
+            timestamp: null
+        }
     });
-    request.query.timestamp = null;
 
     var query = dbu.buildPutQuery(request);
     var queryOptions = { consistency: request.consistency, prepare: true };
 
-    return self.db.client.execute_p(query.cql, query.params, queryOptions)
+    return request.client.execute_p(query.cql, query.params, queryOptions)
+    .then(function() {
+        return true;
+    })
     .catch(function(e) {
+        self.failures++;
         self.db.log('error/table/cassandra/revisionRetentionPolicyUpdate', e);
+        return false;
+    });
+};
+
+/**
+ * Applies the retention policy of a table to all of its rows.
+ *
+ * Policies are otherwise only applied to the revisions next to a write. The
+ * data table is scanned in token order with dbu.scanTable, and the revisions
+ * of each item are fed to a RevisionPolicyManager. The token of the last
+ * completed partition is checkpointed in the meta table along with the
+ * report so far, so that an interrupted run can resume from there.
+ *
+ * @param {DB} db
+ * @param {InternalRequest} req; a request carrying the table schema
+ * @param {object} options; optional:
+ *        - dryRun: only report how many rows would be expired
+ *        - throttle: maximum number of rows to process per second
+ */
+function RetentionEnforcer(db, req, options) {
+    this.db = db;
+    this.options = options || {};
+    this.req = req.extend({ columnfamily: dbu.dataColumnFamily(req.schema) });
+
+    var schema = req.schema;
+    // Revisions of the same item share all primary key attributes but the tid
+    this.itemKeys = schema.iKeys.filter(function(att) {
+        return att !== schema.tid;
+    });
+    // Static columns are shared by all revisions, so must not expire with one
+    var statics = {};
+    schema.index.forEach(function(elem) {
+        if (elem.type === 'static') {
+            statics[elem.attribute] = true;
+        }
+    });
+    this.attributes = Object.keys(schema.attributes).filter(function(att) {
+        return !statics[att];
+    });
+    this.report = { rows: 0, items: 0, expired: 0 };
+}
+
+RetentionEnforcer.prototype._itemKey = function(row) {
+    return JSON.stringify(this.itemKeys.map(function(att) {
+        return String(row[att]);
+    }));
+};
+
+RetentionEnforcer.prototype._policyManager = function(row) {
+    var attributes = {};
+    this.attributes.forEach(function(att) {
+        attributes[att] = null;
+    });
+    var request = this.req.extend({
+        domain: row._domain,
+        query: {
+            table: this.req.table,
+            attributes: attributes
+        }
+    });
+    return new RevisionPolicyManager(this.db, request, this.req.schema, {
+        dryRun: this.options.dryRun
+    });
+};
+
+// Wait as long as needed to stay below the throttle rate
+RetentionEnforcer.prototype._throttle = function() {
+    if (!this.options.throttle) {
+        return P.resolve();
+    }
+    var due = this.started + this.rows / this.options.throttle * 1000;
+    var wait = due - Date.now();
+    return wait > 0 ? P.delay(wait) : P.resolve();
+};
+
+/**
+ * Run the job.
+ *
+ * The policy expects the revisions of an item newest first. For tables
+ * listing tids in ascending order, the revisions of each item are buffered
+ * and handled in reverse.
+ *
+ * @param {object} state; optional checkpoint to resume from, with the token
+ *        and report of an interrupted run
+ * @return a promise that resolves to the report: the number of rows and
+ *         items scanned, and of rows expired (or that would be, in a dry run)
+ */
+RetentionEnforcer.prototype.run = function(state) {
+    var self = this;
+    var schema = this.req.schema;
+    var dryRun = this.options.dryRun;
+    var manager = null;
+    var itemKey = null;
+    var ascending = schema.index.some(function(elem) {
+        return elem.attribute === schema.tid && elem.order === 'asc';
+    });
+    // Buffered revisions of the current item, oldest first
+    var revisions = [];
+    if (state && state.report) {
+        this.report = state.report;
+    }
+    this.started = Date.now();
+    this.rows = 0;
+
+    function handleRow(itemManager, row) {
+        self.report.rows++;
+        self.rows++;
+        return itemManager.handleRow(row)
+        .then(function(expired) {
+            if (expired) {
+                self.report.expired++;
+            }
+            return self._throttle();
+        });
+    }
+
+    function flush() {
+        var itemManager = manager;
+        var rows = revisions.reverse();
+        revisions = [];
+        return P.each(rows, function(row) {
+            return handleRow(itemManager, row);
+        });
+    }
+
+    var options = { token: state && state.token };
+    if (!dryRun) {
+        options.checkpoint = function(token) {
+            // The buffered revisions belong to the checkpointed partition
+            return flush()
+            .then(function() {
+                return self.db._saveRetentionJob(self.req, {
+                    status: 'running',
+                    token: token,
+                    report: self.report
+                });
+            });
+        };
+    }
+    return dbu.scanTable(this.req.client, this.req.keyspace, this.req.columnfamily,
+            schema, options, function(row) {
+        if (row._del) {
+            // Deleted revisions are skipped by reads, so they don't count
+            // towards the retained revisions either
+            return;
+        }
+        var flushed = P.resolve();
+        var key = self._itemKey(row);
+        if (key !== itemKey) {
+            flushed = flush();
+            itemKey = key;
+            manager = self._policyManager(row);
+            self.report.items++;
+        }
+        if (ascending) {
+            revisions.push(row);
+            return flushed;
+        }
+        return flushed.then(function() {
+            return handleRow(manager, row);
+        });
+    })
+    .then(flush)
+    .then(function() {
+        if (dryRun) {
+            return self.report;
+        }
+        return self.db._saveRetentionJob(self.req, {
+            status: 'done',
+            report: self.report
+        })
+        .then(function() {
+            return self.report;
+        });
     });
 };
 
 module.exports = {
-    RevisionPolicyManager: RevisionPolicyManager
+    RevisionPolicyManager: RevisionPolicyManager,
+    RetentionEnforcer: RetentionEnforcer
 };
@@ -0,0 +1,122 @@
+"use strict";
+
+var P = require('bluebird');
+
+/**
+ * Bounded scheduler for asynchronous background tasks.
+ *
+ * Runs up to 'concurrency' tasks at a time, and queues up to 'maxQueue'
+ * more. Once the queue is full, new tasks are either dropped ('shed'), or
+ * the caller is made to wait until there is room ('block').
+ *
+ * @param {object} options:
+ *        - concurrency: maximum number of tasks running at a time
+ *        - maxQueue: maximum number of tasks waiting to run
+ *        - overflow: 'block' or 'shed'
+ *        - name: prefix for metrics & log messages
+ *        - metrics: optional statsd-style client, with gauge and increment
+ *        - log: logging function
+ */
+function Scheduler(options) {
+    if (options.overflow !== 'block' && options.overflow !== 'shed') {
+        throw new Error('Invalid overflow behaviour: ' + options.overflow
+                + '; expected block or shed');
+    }
+    this.concurrency = options.concurrency;
+    this.maxQueue = options.maxQueue;
+    this.overflow = options.overflow;
+    this.name = options.name;
+    this.metrics = options.metrics;
+    this.log = options.log;
+
+    this.running = 0;
+    this.dropped = 0;
+    // Tasks waiting for a free slot
+    this._queue = [];
+    // Callers waiting for room in the queue, with 'block' overflow
+    this._blocked = [];
+}
+
+/**
+ * Schedule a task.
+ *
+ * @param {function} task; returns a promise. Rejections are logged.
+ * @return {Promise<boolean>} resolves once the task was started or queued,
+ *         with false if it was dropped instead
+ */
+Scheduler.prototype.schedule = function(task) {
+    var self = this;
+    if (this.running < this.concurrency) {
+        this._run(task);
+        return P.resolve(true);
+    } else if (this._queue.length < this.maxQueue) {
+        this._queue.push(task);
+        this._report();
+        return P.resolve(true);
+    } else if (this.overflow === 'block') {
+        return new P(function(resolve) {
+            self._blocked.push(function() {
+                self._queue.push(task);
+                resolve(true);
+            });
+            self._report();
+        });
+    } else {
+        this.dropped++;
+        if (this.metrics) {
+            this.metrics.increment(this.name + '.dropped');
+        }
+        this.log('warn/' + this.name + '/dropped', {
+            message: 'Background task dropped; the queue is full',
+            queued: this._queue.length,
+            dropped: this.dropped
+        });
+        return P.resolve(false);
+    }
+};
+
+Scheduler.prototype._run = function(task) {
+    var self = this;
+    this.running++;
+    this._report();
+    P.try(task)
+    .catch(function(err) {
+        self.log('error/' + self.name, err);
+    })
+    .finally(function() {
+        self.running--;
+        var next = self._queue.shift();
+        if (self._blocked.length) {
+            // Make room for the longest-waiting caller
+            self._blocked.shift()();
+        }
+        if (next) {
+            self._run(next);
+        } else {
+            self._report();
+        }
+    });
+};
+
+Scheduler.prototype._report = function() {
+    if (this.metrics) {
+        this.metrics.gauge(this.name + '.running', this.running);
+        this.metrics.gauge(this.name + '.queued', this._queue.length);
+        this.metrics.gauge(this.name + '.blocked', this._blocked.length);
+    }
+};
+
+/**
+ * @return {object} the current number of running, queued and blocked tasks,
+ *         and the number of tasks dropped since startup
+ */
+Scheduler.prototype.stats = function() {
+    return {
+        running: this.running,
+        queued: this._queue.length,
+        blocked: this._blocked.length,
+        dropped: this.dropped
+    };
+};
+
+module.exports = Scheduler;
@@ -3,6 +3,7 @@
 var dbu = require('./dbutils');
 var P = require('bluebird');
 var util = require('util');
+var extend = require('extend');
 
 
 /**
@@ -24,6 +25,11 @@ Unsupported.prototype.migrate = function() {
     return P.resolve();
 };
 
+// Changes are rejected by #validate, so there is never anything to do.
+Unsupported.prototype.plan = function() {
+    return [];
+};
+
 /**
  * Table name handler
  */
@@ -35,21 +41,173 @@ util.inherits(Table, Unsupported);
 
 /**
  * options object migration handler
+ *
+ * Compression, compaction and the other table properties are changed on the
+ * data and index tables with ALTER TABLE, and durability on the keyspace
+ * with ALTER KEYSPACE.
  */
 function Options(parentMigrator, current, proposed) {
-    Unsupported.call(this, 'options', current, proposed);
+    this.db = parentMigrator.db;
+    this.req = parentMigrator.req;
+    this.current = current || {};
+    this.proposed = proposed || {};
+    this.currentSchema = parentMigrator.current;
+    this.indexes = Object.keys(parentMigrator.current.secondaryIndexes || {});
+    this.dataCF = dbu.dataColumnFamily(parentMigrator.current);
+    this.group = this.db._resolveStorageGroup(this.req.domain);
 }
 
-util.inherits(Options, Unsupported);
+// Invalid options are already rejected by the schema validation.
+Options.prototype.validate = function() {
+    return;
+};
+
+Options.prototype._compressionChanged = function() {
+    return dbu.makeSchemaHash(this.current.compression || null)
+        !== dbu.makeSchemaHash(this.proposed.compression || null);
+};
+
+Options.prototype._tableProperties = function(options) {
+    var props = { compaction: options.compaction || null };
+    Object.keys(dbu.tablePropertyDefaults).forEach(function(key) {
+        props[key] = options[key] === undefined ? null : options[key];
+    });
+    return props;
+};
+
+Options.prototype._tablePropertiesChanged = function() {
+    return dbu.makeSchemaHash(this._tableProperties(this.current))
+        !== dbu.makeSchemaHash(this._tableProperties(this.proposed));
+};
+
+Options.prototype._columnfamilies = function() {
+    var self = this;
+    return [this.dataCF].concat(this.indexes.map(function(idx) {
+        return dbu.indexColumnFamily(self.currentSchema, idx);
+    }));
+};
+
+Options.prototype._compressionCQL = function() {
+    var cql = dbu.getTableCompressionCQL(this.proposed.compression || []);
+    if (cql) {
+        return cql.replace(/^ and /, ' ');
+    } else {
+        // Back to Cassandra's default, as used for tables created without
+        // compression options
+        return " compression = { 'sstable_compression' : 'LZ4Compressor' }";
+    }
+};
+
+Options.prototype._migrateCompression = function() {
+    var self = this;
+    if (!this._compressionChanged()) {
+        return P.resolve();
+    }
+    var compressionCQL = this._compressionCQL();
+    return P.each(this._columnfamilies(), function(cf) {
+        self.db.log('warn/schemaMigration/options', {
+            message: 'changing compression of ' + cf,
+            columnfamily: cf,
+            compression: self.proposed.compression
+        });
+        var cql = 'ALTER TABLE ' + dbu.cassID(self.req.keyspace) + '.'
+            + dbu.cassID(cf) + ' WITH' + compressionCQL;
+        return self.req.client.execute_p(cql, [], { consistency: self.req.consistency });
+    });
+};
+
+Options.prototype._migrateTableProperties = function() {
+    var self = this;
+    if (!this._tablePropertiesChanged()) {
+        return P.resolve();
+    }
+    // Removed properties are reset to their defaults
+    var propertiesCQL = ' ' + dbu.getTableCompactionCQL(this.proposed.compaction)
+        + dbu.getTablePropertiesCQL(this.proposed, true);
+    return P.each(this._columnfamilies(), function(cf) {
+        self.db.log('warn/schemaMigration/options', {
+            message: 'changing table properties of ' + cf,
+            columnfamily: cf,
+            properties: self._tableProperties(self.proposed)
+        });
+        var cql = 'ALTER TABLE ' + dbu.cassID(self.req.keyspace) + '.'
+            + dbu.cassID(cf) + ' WITH' + propertiesCQL;
+        return self.req.client.execute_p(cql, [], { consistency: self.req.consistency });
+    });
+};
+
+Options.prototype._migrateDurability = function() {
+    var self = this;
+    var replication = this.db._replicationOptions(this.proposed.durability, this.group);
+    if (this.db._replicationOptions(this.current.durability, this.group) === replication) {
+        return P.resolve();
+    }
+    var cql = 'ALTER KEYSPACE ' + dbu.cassID(this.req.keyspace)
+        + ' WITH REPLICATION = ' + replication;
+    return this.req.client.execute_p(cql, [], { consistency: this.req.consistency })
+    .then(function() {
+        self.db.log('warn/schemaMigration/options', {
+            message: 'changed replication of keyspace ' + self.req.keyspace
+                + '; run a repair to make existing data match the new durability',
+            keyspace: self.req.keyspace,
+            replication: replication
+        });
+    });
+};
+
+Options.prototype.migrate = function() {
+    var self = this;
+    return this._migrateCompression()
+    .then(function() {
+        return self._migrateTableProperties();
+    })
+    .then(function() {
+        return self._migrateDurability();
+    });
+};
+
+Options.prototype.plan = function() {
+    var steps = [];
+    if (this._compressionChanged()) {
+        steps.push({
+            action: 'alter_compression',
+            columnfamilies: this._columnfamilies(),
+            compression: this.proposed.compression || null
+        });
+    }
+    if (this._tablePropertiesChanged()) {
+        steps.push({
+            action: 'alter_table_properties',
+            columnfamilies: this._columnfamilies(),
+            properties: this._tableProperties(this.proposed)
+        });
+    }
+    var replication = this.db._replicationOptions(this.proposed.durability, this.group);
+    if (this.db._replicationOptions(this.current.durability, this.group) !== replication) {
+        steps.push({
+            action: 'alter_replication',
+            keyspace: this.req.keyspace,
+            replication: replication
+        });
+    }
+    return steps;
+};
 
 /**
  * attributes object migration handler
+ *
+ * Type changes Cassandra supports are applied in place. Others need the
+ * values to be converted, which is done by a background migration; See
+ * SchemaMigrator#_startDataMigration.
  */
 function Attributes(parentMigrator, current, proposed) {
-    this.client = parentMigrator.db.client;
+    this.parentMigrator = parentMigrator;
+    this.client = parentMigrator.req.client;
     this.log = parentMigrator.db.log;
+    this.keyspace = parentMigrator.req.keyspace;
     this.table = dbu.cassID(parentMigrator.req.keyspace)+'.'+dbu.cassID(parentMigrator.req.columnfamily);
     this.consistency = parentMigrator.req.consistency;
+    this.currentSchema = parentMigrator.current;
     this.current = current;
     this.proposed = proposed;
 
@@ -58,13 +216,43 @@ function Attributes(parentMigrator, current, proposed) {
 
     this.addColumns = Array.from(propSet).filter(function(x) { return !currSet.has(x); });
     this.delColumns = Array.from(currSet).filter(function(x) { return !propSet.has(x); });
+    this.typeChanges = Array.from(propSet).filter(function(x) {
+        return currSet.has(x) && current[x] !== proposed[x];
+    });
+    this.widenColumns = [];
+    this.convertColumns = [];
+    this.deferred = false;
 }
 
-// The only constraint here: that any attribute being dropped must not
-// be part of an existing index, something which the standard schema
-// validation already covers.
+// Any attribute being dropped must not be part of an existing index,
+// something which the standard schema validation already covers. Type
+// changes are limited to supported changes of attributes outside of the
+// primary index. Secondary indexes covering converted attributes are rebuilt.
 Attributes.prototype.validate = function() {
-    return;
+    var self = this;
+    this.typeChanges.forEach(function(col) {
+        var from = self.current[col];
+        var to = self.proposed[col];
+        if (self.currentSchema.iKeyMap[col]) {
+            throw new Error('the type of index attribute ' + col
+                    + ' cannot be changed');
+        }
+        var change = dbu.typeChange(from, to);
+        if (!change) {
+            throw new Error('the type of attribute ' + col
+                    + ' cannot be changed from ' + from + ' to ' + to);
+        } else if (change.widening) {
+            if (self.currentSchema.attributeIndexes[col]) {
+                // Cassandra can't widen key columns of the index tables
+                throw new Error('the type of secondary index attribute ' + col
+                        + ' cannot be changed from ' + from + ' to ' + to);
+            }
+            self.widenColumns.push(col);
+        } else {
+            self.convertColumns.push(col);
+            self.deferred = true;
+        }
+    });
 };
 
 Attributes.prototype._alterTable = function() {
@@ -80,7 +268,28 @@ Attributes.prototype._alterTableAdd = function(col) {
 };
 
 Attributes.prototype._alterTableDrop = function(col) {
-    return this._alterTable()+' DROP '+dbu.cassID(col);
+    return this._alterTable()+' DROP '+dbu.cassID(dbu.column(this.currentSchema, col));
+};
+
+// Widen the column in the data table, and in index tables projecting it
+Attributes.prototype._widenColumn = function(col) {
+    var self = this;
+    var tables = [{ name: this.table, column: dbu.column(this.currentSchema, col) }];
+    var indexes = this.currentSchema.secondaryIndexes || {};
+    Object.keys(indexes).forEach(function(idx) {
+        if (indexes[idx].attributes[col]) {
+            tables.push({
+                name: dbu.cassID(self.keyspace) + '.'
+                    + dbu.cassID(dbu.indexColumnFamily(self.currentSchema, idx)),
+                column: col
+            });
+        }
+    });
+    return P.each(tables, function(table) {
+        var cql = 'ALTER TABLE ' + table.name + ' ALTER ' + dbu.cassID(table.column)
+            + ' TYPE ' + self._colType(col);
+        return self.client.execute_p(cql, [], { consistency: self.consistency });
+    });
 };
 
 Attributes.prototype.migrate = function() {
@@ -102,6 +311,10 @@ Attributes.prototype.migrate = function() {
 
     })
     .then(function() {
+        if (self.parentMigrator.deferred()) {
+            // The old schema still uses them until the migration completed
+            return;
+        }
         return P.each(self.delColumns, function(col) {
             self.log('warn/schemaMigration/attributes', {
                 message: 'dropping column ' + col,
@@ -110,32 +323,191 @@ Attributes.prototype.migrate = function() {
             var cql = self._alterTableDrop(col);
             return self.client.execute_p(cql, [], { consistency: self.consistency })
             .catch(function(e) {
-                if (e.message !== 'Column ' + col + ' was not found in table data') {
+                if (!/^Column \S+ was not found in table/.test(e.message)) {
                     throw(e);
                 }
                 // Else: Ignore the error if the column was already removed.
             });
         });
+    })
+    .then(function() {
+        return P.each(self.widenColumns, function(col) {
+            self.log('warn/schemaMigration/attributes', {
+                message: 'changing the type of column ' + col,
+                column: col,
+                type: self.proposed[col]
+            });
+            return self._widenColumn(col);
+        });
     });
 };
 
+Attributes.prototype.plan = function() {
+    var self = this;
+    var steps = [];
+    this.addColumns.forEach(function(col) {
+        steps.push({ action: 'add_column', column: col, type: self.proposed[col] });
+    });
+    this.delColumns.forEach(function(col) {
+        steps.push({ action: 'drop_column', column: col });
+    });
+    this.typeChanges.forEach(function(col) {
+        steps.push({
+            // Conversions are applied by the data migration
+            action: self.widenColumns.indexOf(col) !== -1
+                ? 'alter_column_type' : 'convert_column',
+            column: col,
+            from: self.current[col],
+            to: self.proposed[col]
+        });
+    });
+    return steps;
+};
+
 /**
  * Index definition migrations
+ *
+ * The primary key of a Cassandra table can't be changed, so the data is
+ * copied to a new column family in the background; See
+ * SchemaMigrator#_startDataMigration.
  */
 function Index(parentMigrator, current, proposed) {
-    Unsupported.call(this, 'index', current, proposed);
+    this.current = current;
+    this.proposed = proposed;
+    this.deferred = dbu.makeSchemaHash(current) !== dbu.makeSchemaHash(proposed);
 }
 
-util.inherits(Index, Unsupported);
+// Constraints on data migrations are checked by SchemaMigrator#_validate.
+Index.prototype.validate = function() {
+    return;
+};
+
+Index.prototype.migrate = function() {
+    return P.resolve();
+};
+
+Index.prototype.plan = function() {
+    if (!this.deferred) {
+        return [];
+    }
+    return [{ action: 'change_primary_index', from: this.current, to: this.proposed }];
+};
 
 /**
  * Secondary index definition migrations
+ *
+ * Indexes can be added and removed, but not changed. New indexes are
+ * backfilled in the background once the new schema is stored, and refused
+ * for reads until that is complete.
  */
 function SecondaryIndexes(parentMigrator, current, proposed) {
-    Unsupported.call(this, 'secondaryIndexes', current, proposed);
+    this.db = parentMigrator.db;
+    this.req = parentMigrator.req;
+    this.currentSchema = parentMigrator.current;
+    this.proposedSchema = parentMigrator.proposed;
+    this.current = current || {};
+    this.proposed = proposed || {};
+
+    var self = this;
+    this.addIndexes = Object.keys(this.proposed).filter(function(idx) {
+        return !self.current[idx];
+    });
+    this.delIndexes = Object.keys(this.current).filter(function(idx) {
+        return !self.proposed[idx];
+    });
 }
 
-util.inherits(SecondaryIndexes, Unsupported);
+SecondaryIndexes.prototype.validate = function() {
+    var self = this;
+    Object.keys(this.proposed).forEach(function(idx) {
+        if (self.current[idx]
+                && dbu.makeSchemaHash(self.current[idx].index)
+                    !== dbu.makeSchemaHash(self.proposed[idx].index)) {
+            throw new Error('changing the definition of secondary index '
+                    + idx + ' is unsupported');
+        }
+    });
+};
+
+SecondaryIndexes.prototype.migrate = function() {
+    var self = this;
+    return P.each(this.addIndexes, function(idx) {
+        self.db.log('warn/schemaMigration/secondaryIndexes', {
+            message: 'adding index ' + idx,
+            index: idx,
+        });
+        // Mark the index as building before the schema referencing it is
+        // stored, so that it is never read before the backfill completed.
+        return self.db._saveIndexBuild(self.req, idx, {
+            status: 'building',
+            token: null
+        })
+        .then(function() {
+            return self.db._createTable(self.req, self.proposed[idx],
+                    dbu.idxColumnFamily(idx));
+        });
+    });
+};
+
+SecondaryIndexes.prototype.finish = function() {
+    var self = this;
+    // Writes to removed indexes stop with the new schema, so their tables
+    // can now be dropped.
+    return P.each(this.delIndexes, function(idx) {
+        self.db.log('warn/schemaMigration/secondaryIndexes', {
+            message: 'dropping index ' + idx,
+            index: idx,
+        });
+        self.db._cancelIndexBuild(self.req.keyspace, idx);
+        var cql = 'DROP TABLE IF EXISTS ' + dbu.cassID(self.req.keyspace)
+            + '.' + dbu.cassID(dbu.indexColumnFamily(self.currentSchema, idx));
+        return self.req.client.execute_p(cql, [], { consistency: self.req.consistency });
+    })
+    .then(function() {
+        return self._startBuilds();
+    });
+};
+
+/**
+ * Start backfilling the added indexes.
+ *
+ * @return a promise that resolves once the builds were started
+ */
+SecondaryIndexes.prototype._startBuilds = function() {
+    var self = this;
+    if (!this.addIndexes.length) {
+        return P.resolve();
+    }
+    // The builds need the storage layout of earlier data migrations, which
+    // only the stored schema carries
+    return this.db._makeInternalRequest(this.req.domain, this.req.table, {})
+    .then(function(buildReq) {
+        self.addIndexes.forEach(function(idx) {
+            self.db._startIndexBuild(buildReq, idx);
+        });
+    });
+};
+
+SecondaryIndexes.prototype.plan = function() {
+    var steps = [];
+    this.addIndexes.forEach(function(idx) {
+        steps.push({
+            action: 'create_index_table',
+            index: idx,
+            columnfamily: dbu.idxColumnFamily(idx)
+        });
+        steps.push({ action: 'build_index', index: idx });
+    });
+    var self = this;
+    this.delIndexes.forEach(function(idx) {
+        steps.push({
+            action: 'drop_index_table',
+            index: idx,
+            columnfamily: dbu.indexColumnFamily(self.currentSchema, idx)
+        });
+    });
+    return steps;
+};
 
 /**
  * Revision retention policy definiation migrations
@@ -161,6 +533,17 @@ RevisionRetentionPolicy.prototype.migrate = function() {
     return P.resolve();
 };
 
+RevisionRetentionPolicy.prototype.plan = function() {
+    if (dbu.makeSchemaHash(this.current) === dbu.makeSchemaHash(this.proposed)) {
+        return [];
+    }
+    return [{
+        action: 'change_retention_policy',
+        from: this.current,
+        to: this.proposed
+    }];
+};
+
 /**
  * Version handling
  */
@@ -185,6 +568,10 @@ Version.prototype.migrate = function() {
     return P.resolve();
 };
 
+Version.prototype.plan = function() {
+    return [{ action: 'set_version', from: this.current, to: this.proposed }];
+};
+
 var migrationHandlers = {
     table: Table,
     options: Options,
@@ -208,7 +595,8 @@ var migrationHandlers = {
  * @param  {object] client; an instance of DB
  * @param  {object} schemaFrom; current schema info object.
  * @param  {object} schemaTo; proposed schema info object.
- * @throws  {Error} if the proposed migration fails to validate
+ * @throws  {Error} if the proposed migration fails to validate; its field
+ *          property names the schema field that failed
  */
 function SchemaMigrator(db, req, current, proposed) {
     this.db = db;
@@ -217,17 +605,87 @@ function SchemaMigrator(db, req, current, proposed) {
     this.proposed = proposed;
 
     var self = this;
-    this.migrators = Object.keys(migrationHandlers).map(function(key) {
+    this.fields = Object.keys(migrationHandlers);
+    this.migrators = this.fields.map(function(key) {
         return new migrationHandlers[key](self, current[key], proposed[key]);
     });
 
     this._validate();
 }
 
+function fieldError(field, message) {
+    var e = new Error(message);
+    e.field = field;
+    return e;
+}
+
 SchemaMigrator.prototype._validate = function() {
-    this.migrators.forEach(function(migrator) {
-        migrator.validate();
+    var self = this;
+    this.migrators.forEach(function(migrator, i) {
+        try {
+            migrator.validate();
+        } catch (e) {
+            e.field = self.fields[i];
+            throw e;
+        }
+    });
+    var migration = this.current._indexMigration || this.current._columnBackfill;
+    if (migration && migration.schema.hash !== this.proposed.hash) {
+        // Storing its schema would undo this migration
+        throw fieldError('index', 'another migration is in progress');
+    }
+    var indexes = this._migrator('secondaryIndexes');
+    if (this.deferred() && (indexes.addIndexes.length || indexes.delIndexes.length)) {
+        throw fieldError('secondaryIndexes',
+                'secondary indexes cannot be added or removed together with '
+                + 'attribute type or primary index changes');
+    }
+};
+
+SchemaMigrator.prototype._migrator = function(field) {
+    return this.migrators[this.fields.indexOf(field)];
+};
+
+/**
+ * List the steps #migrate and #finish would perform, without performing
+ * them.
+ *
+ * @return {array} of step objects, each with the schema field it belongs to
+ *         and an action
+ */
+SchemaMigrator.prototype.plan = function() {
+    var self = this;
+    var steps = [];
+    this.migrators.forEach(function(migrator, i) {
+        migrator.plan().forEach(function(step) {
+            step.field = self.fields[i];
+            steps.push(step);
+        });
     });
+    if (this.deferred()) {
+        var state = this._dataMigration().state;
+        if (state.type === 'copy') {
+            steps.push({
+                action: 'copy_data',
+                source: state.source,
+                target: state.target
+            });
+        } else {
+            steps.push({
+                action: 'backfill_columns',
+                columnfamily: state.source,
+                columns: state.columns
+            });
+        }
+        Object.keys(state.indexes).forEach(function(idx) {
+            steps.push({
+                action: 'rebuild_index',
+                index: idx,
+                columnfamily: state.indexes[idx]
+            });
+        });
+    }
+    return steps;
 };
 
 /**
@@ -236,8 +694,209 @@ SchemaMigrator.prototype._validate = function() {
  * @return a promise that resolves when the migration tasks are complete
  */
 SchemaMigrator.prototype.migrate = function() {
+    var self = this;
     return P.each(this.migrators, function(migrator) {
         return migrator.migrate();
+    })
+    .then(function() {
+        if (self.deferred()) {
+            return self._startDataMigration();
+        } else {
+            return self._updateStorageLayout();
+        }
+    });
+};
+
+/**
+ * Work out the state of the background migration for a deferred schema
+ * change, and the storage layout of the proposed schema.
+ *
+ * Primary index changes copy the data to a new column family. Otherwise,
+ * the converted values of attributes with a changed type are backfilled
+ * into new columns of the data column family. Either way, secondary indexes
+ * that no longer match their column family are rebuilt in a new one.
+ *
+ * @return {object} with the migration state and the storage layout
+ */
+SchemaMigrator.prototype._dataMigration = function() {
+    var current = this.current;
+    var proposed = this.proposed;
+    var attributes = this._migrator('attributes');
+    var copy = this._migrator('index').deferred;
+    var suffix = 'v' + proposed.version;
+    var source = dbu.dataColumnFamily(current);
+    var state = {
+        status: 'copying',
+        type: copy ? 'copy' : 'backfill',
+        source: source,
+        target: copy ? 'data_' + suffix : source,
+        // The normalized schema, as it is stored once the migration is complete
+        schema: this.req.query,
+        columns: {},
+        indexes: {},
+        oldStorage: { columnfamilies: [], columns: [] },
+        newStorage: { columnfamilies: [], columns: [] },
+        token: null
+    };
+    var layout = {
+        version: proposed.version,
+        data: state.target,
+        columns: {},
+        indexes: {}
+    };
+    if (copy) {
+        state.oldStorage.columnfamilies.push(source);
+        state.newStorage.columnfamilies.push(state.target);
+    } else {
+        // Cassandra ignores values older than the removal of a column with
+        // the same name, so each attempt uses new columns
+        var attempt = Date.now().toString(36);
+        attributes.convertColumns.forEach(function(att) {
+            state.columns[att] = '_' + att + '_' + suffix + '_' + attempt;
+            state.newStorage.columns.push(state.columns[att]);
+            state.oldStorage.columns.push(dbu.column(current, att));
+        });
+        attributes.delColumns.forEach(function(att) {
+            state.oldStorage.columns.push(dbu.column(current, att));
+        });
+        Object.keys(proposed.attributes).forEach(function(att) {
+            if (state.columns[att] || dbu.column(current, att) !== att) {
+                layout.columns[att] = state.columns[att] || dbu.column(current, att);
+            }
+        });
+    }
+    Object.keys(proposed.secondaryIndexes).forEach(function(idx) {
+        var rebuild = copy || Object.keys(proposed.secondaryIndexes[idx].attributes)
+            .some(function(att) {
+                return state.columns[att];
+            });
+        if (rebuild) {
+            state.indexes[idx] = dbu.idxColumnFamily(idx, suffix);
+            state.oldStorage.columnfamilies.push(dbu.indexColumnFamily(current, idx));
+            state.newStorage.columnfamilies.push(state.indexes[idx]);
+        }
+        layout.indexes[idx] = state.indexes[idx] || dbu.indexColumnFamily(current, idx);
+    });
+    return { state: state, layout: layout };
+};
+
+/**
+ * Start migrating the data to the proposed schema in the background. The new
+ * schema is only stored once that is complete; See lib/primaryIndexMigration
+ * and lib/columnBackfill.
+ *
+ * @return a promise that resolves once the migration was started
+ */
+SchemaMigrator.prototype._startDataMigration = function() {
+    var self = this;
+    var db = this.db;
+    var req = this.req;
+    if (this.current._indexMigration || this.current._columnBackfill) {
+        // Already migrating to the proposed schema
+        return db._resumePrimaryIndexMigration(req);
+    }
+    var migration = this._dataMigration();
+    var state = migration.state;
+    db.log('warn/schemaMigration/data', {
+        message: 'migrating the data of keyspace ' + req.keyspace,
+        keyspace: req.keyspace,
+        type: state.type,
+        target: state.target,
+        columns: state.columns,
+        indexes: state.indexes
+    });
+    // Column families of a failed attempt could be left behind if its
+    // process went away; See PrimaryIndexMigration#retire.
+    return P.each(state.newStorage.columnfamilies, function(cf) {
+        var cql = 'DROP TABLE IF EXISTS ' + dbu.cassID(req.keyspace)
+            + '.' + dbu.cassID(cf);
+        return req.client.execute_p(cql, [], { consistency: req.consistency });
+    })
+    .then(function() {
+        return db._saveStorageLayout(req, migration.layout);
+    })
+    .then(function() {
+        if (state.type === 'copy') {
+            var dataSchema = extend({}, self.proposed, { secondaryIndexes: {} });
+            return db._createTable(req, dataSchema, state.target);
+        }
+        return P.each(Object.keys(state.columns), function(att) {
+            var cql = 'ALTER TABLE ' + dbu.cassID(req.keyspace) + '.'
+                + dbu.cassID(state.source) + ' ADD ' + dbu.cassID(state.columns[att])
+                + ' ' + dbu.schemaTypeToCQLType(self.proposed.attributes[att]);
+            return req.client.execute_p(cql, [], { consistency: req.consistency });
+        });
+    })
+    .then(function() {
+        return P.each(Object.keys(state.indexes), function(idx) {
+            return db._createTable(req, self.proposed.secondaryIndexes[idx],
+                    state.indexes[idx]);
+        });
+    })
+    .then(function() {
+        return db._savePrimaryIndexMigration(req, state, true);
+    })
+    .then(function() {
+        db._startPrimaryIndexMigration(req, state);
+    });
+};
+
+/**
+ * Drop the column families and columns of removed secondary indexes and
+ * attributes from the storage layout, so that new ones with the same names
+ * use their default column families and columns.
+ *
+ * @return a promise that resolves once the layout was stored
+ */
+SchemaMigrator.prototype._updateStorageLayout = function() {
+    var current = this.current;
+    var proposed = this.proposed;
+    if (!current._columns) {
+        // No migration ever changed the layout
+        return P.resolve();
+    }
+    var layout = {
+        version: proposed.version,
+        data: dbu.dataColumnFamily(current),
+        columns: {},
+        indexes: {}
+    };
+    Object.keys(current._columns).forEach(function(att) {
+        if (proposed.attributes[att]) {
+            layout.columns[att] = current._columns[att];
+        }
+    });
+    Object.keys(current._indexCFs).forEach(function(idx) {
+        if (proposed.secondaryIndexes[idx]) {
+            layout.indexes[idx] = current._indexCFs[idx];
+        }
+    });
+    return this.db._saveStorageLayout(this.req, layout);
+};
+
+/**
+ * Check whether storing the new schema is deferred until a background
+ * migration completes.
+ *
+ * @return {boolean}
+ */
+SchemaMigrator.prototype.deferred = function() {
+    return this.migrators.some(function(migrator) {
+        return migrator.deferred;
+    });
+};
+
+/**
+ * Perform tasks that need to wait until the new schema is stored, like
+ * dropping tables that the old schema still writes to.
+ *
+ * @return a promise that resolves when the tasks are complete
+ */
+SchemaMigrator.prototype.finish = function() {
+    return P.each(this.migrators, function(migrator) {
+        if (migrator.finish) {
+            return migrator.finish();
+        }
     });
 };
 
@@ -4,15 +4,39 @@ var P = require('bluebird');
 var cass = require('cassandra-driver');
 var TimeUuid = cass.types.TimeUuid;
 var dbu = require('./dbutils');
+var util = require('util');
 
-function IndexRebuilder (db, req, secondaryKeys, timestamp) {
+/**
+ * Updates secondary index entries from a sequence of data rows.
+ *
+ * @param {DB} db
+ * @param {InternalRequest} req
+ * @param {array} secondaryKeys; non-primary attributes to diff
+ * @param {number} timestamp; write timestamp for _del updates
+ * @param {object} options; optional:
+ *        - indexes: only update these indexes
+ *        - full: also write the index entries for the first row (full
+ *          rebuild)
+ */
+function IndexRebuilder (db, req, secondaryKeys, timestamp, options) {
+    options = options || {};
     this.db = db;
     this.req = req;
-    this.primaryKeys = this.req.schema.iKeys;
+    this.indexes = options.indexes;
+    this.full = options.full;
+    // The data table primary key, minus the tid. Rows sharing it are
+    // revisions of the same item.
+    var tidKey = this.req.schema.tid;
+    this.primaryKeys = this.req.schema.iKeys.filter(function(att) {
+        return att !== tidKey;
+    });
     this.secondaryKeys = secondaryKeys;
 
     this.prevRow = null;
     this.delWriteTimestamp = timestamp || dbu.tidNanoTime(TimeUuid.now());
+    // Number of failed index writes; These are logged, but don't interrupt
+    // the rebuild.
+    this.failures = 0;
 }
 
 /*
@@ -26,7 +50,7 @@ IndexRebuilder.prototype.diffRow = function (row) {
     var i, att;
     for (i = 0; i < this.primaryKeys.length; i++) {
         att = this.primaryKeys[i];
-        if (this.prevRow[att] !== row[att]) {
+        if (!dbu.sameValue(this.prevRow[att], row[att])) {
             // Different data table primary key; return the full row
             return {
                 diff: row,
@@ -39,15 +63,14 @@ IndexRebuilder.prototype.diffRow = function (row) {
     // attributes.
     for (i = 0; i < this.secondaryKeys.length; i++) {
         att = this.secondaryKeys[i];
-        if (this.prevRow[att] !== row[att]) {
+        if (!dbu.sameValue(this.prevRow[att], row[att])) {
             diff[att] = row[att];
         }
     }
     if (row._del) {
         // Row is a tombstone; set the _del attribute in the index row to
-        // the new row's timeuuid, which is always its last primary key
-        // element.
-        diff._del = row[this.primaryKeys[this.primaryKeys.length - 1]];
+        // the new row's timeuuid.
+        diff._del = row[this.req.schema.tid];
     }
     return {
         diff: diff
@@ -63,7 +86,7 @@ IndexRebuilder.prototype.diffRow = function (row) {
  * @return a promise that resolves when the update is complete
  */
 IndexRebuilder.prototype.handleRow = function (row) {
-    if (!this.prevRow) {
+    if (!this.prevRow && !this.full) {
         // In normal operation there is no need to update the index for the
         // first row, as we are only interested in diffs, and the new data was
         // already written as part of the data write batch. This also does the
@@ -77,49 +100,69 @@ IndexRebuilder.prototype.handleRow = function (row) {
     }
     var self = this;
     // diff each row, return object of differing non-primary attributes
-    var diffRes = this.diffRow(row);
+    var diffRes = this.prevRow ? this.diffRow(row) : { diff: row, newKey: true };
     var diff = diffRes.diff;
     var idxSet = {};
+    var projSet = {};
+    var included = function(idx) {
+        return !self.indexes || self.indexes.indexOf(idx) !== -1;
+    };
     // Figure out which indexes need to be updated
     for (var diffAtt in diff) {
         var idxes = this.req.schema.attributeIndexes[diffAtt];
         if (idxes) {
-            idxes.forEach(function(idx) {
+            idxes.filter(included).forEach(function(idx) {
                 idxSet[idx] = true;
             });
         }
+        var projIdxes = this.req.schema.projectionIndexes[diffAtt];
+        if (projIdxes) {
+            projIdxes.filter(included).forEach(function(idx) {
+                projSet[idx] = true;
+            });
+        }
     }
     var queries = [];
+    // Where only projected attributes changed, both revisions share the same
+    // index entry. Make sure it holds the newer revision's projection.
+    if (!diffRes.newKey) {
+        for (var projIdx in projSet) {
+            if (!idxSet[projIdx]) {
+                queries.push(this._refreshProjection(projIdx, this.prevRow));
+            }
+        }
+    }
     for (var idx in idxSet) {
-        var reqAttributes = {};
         var secondarySchema = this.req.schema.secondaryIndexes[idx];
-        for (var att in secondarySchema.attributes) {
-            reqAttributes[att] = row[att];
-        }
+        var reqAttributes = dbu.rowToAttributes(this.req.schema, row,
+                Object.keys(secondarySchema.attributes));
 
         // Write everything but _del with the corresponding data row's
         // timestamp
         var writeTime = dbu.tidNanoTime(row[this.req.schema.tid]);
         var idxReq = self.req.extend({
+            // Full rebuilds see rows of all domains sharing the table
+            domain: row._domain,
             query: {
                 attributes: reqAttributes,
                 // Add the timestamp clause
                 timestamp: writeTime
             },
-            columnfamily: dbu.idxColumnFamily(idx),
+            columnfamily: dbu.indexColumnFamily(this.req.schema, idx),
             schema: secondarySchema
         });
         var queryObj = dbu.buildPutQuery(idxReq);
         queries.push(
-            self.db.client.execute_p(queryObj.cql, queryObj.params,
+            self.req.client.execute_p(queryObj.cql, queryObj.params,
                 { consistency: cass.types.consistencies.one, prepare: true })
             .catch(function(e) {
+                self.failures++;
                 self.db.log('error/table/cassandra/secondaryIndexUpdate', e);
             })
         );
 
         // Update _del, as this row doesn't match the index entry any more
-        if (!diff.newKey) {
+        if (!diffRes.newKey) {
             var delReqAttributes = {};
             secondarySchema.iKeys.forEach(function(att) {
                 delReqAttributes[att] = row[att];
@@ -133,9 +176,10 @@ IndexRebuilder.prototype.handleRow = function (row) {
             });
             var delQueryObj = dbu.buildPutQuery(delReq);
             queries.push(
-                this.db.client.execute_p(delQueryObj.cql, delQueryObj.params,
+                this.req.client.execute_p(delQueryObj.cql, delQueryObj.params,
                     { consistency: cass.types.consistencies.one, prepare: true })
                 .catch(function(e) {
+                    self.failures++;
                     self.db.log('error/table/cassandra/secondaryIndexUpdate', e);
                 })
             );
@@ -147,6 +191,144 @@ IndexRebuilder.prototype.handleRow = function (row) {
     return P.all(queries);
 };
 
+/**
+ * Re-write the projected attributes of an index entry from a data row,
+ * using the data row's timestamp.
+ *
+ * @param {string} idx; the index name
+ * @param {object} row; the data row the index entry points to
+ * @return a promise that resolves when the update is complete
+ */
+IndexRebuilder.prototype._refreshProjection = function (idx, row) {
+    var self = this;
+    var secondarySchema = this.req.schema.secondaryIndexes[idx];
+    var reqAttributes = dbu.rowToAttributes(this.req.schema, row,
+            secondarySchema.iKeys.concat(secondarySchema.proj));
+    var idxReq = this.req.extend({
+        domain: row._domain,
+        query: {
+            attributes: reqAttributes,
+            timestamp: dbu.tidNanoTime(row[this.req.schema.tid])
+        },
+        columnfamily: dbu.indexColumnFamily(this.req.schema, idx),
+        schema: secondarySchema
+    });
+    var queryObj = dbu.buildPutQuery(idxReq);
+    return this.req.client.execute_p(queryObj.cql, queryObj.params,
+        { consistency: cass.types.consistencies.one, prepare: true })
+    .catch(function(e) {
+        self.failures++;
+        self.db.log('error/table/cassandra/secondaryIndexUpdate', e);
+    });
+};
+
+
+function BuildCancelled() {
+    Error.call(this);
+    this.name = this.constructor.name;
+    this.message = 'Index build cancelled';
+}
+util.inherits(BuildCancelled, Error);
+
+/**
+ * Backfills a newly added secondary index from the data table.
+ *
+ * The data table is scanned in token order with dbu.scanTable, and each row is
+ * fed to an IndexRebuilder restricted to the new index. The token of the last
+ * completed partition is checkpointed in the meta table, so that an
+ * interrupted build can resume from there.
+ *
+ * @param {DB} db
+ * @param {InternalRequest} req; a request carrying the schema with the index
+ * @param {string} index; the index name
+ */
+function IndexBuilder (db, req, index) {
+    this.db = db;
+    this.req = req.extend({ columnfamily: dbu.dataColumnFamily(req.schema) });
+    this.index = index;
+    this.cancelled = false;
+}
+
+/**
+ * Stop the build at the next row.
+ */
+IndexBuilder.prototype.cancel = function () {
+    this.cancelled = true;
+};
+
+IndexBuilder.prototype._checkpoint = function (token) {
+    if (this.cancelled) {
+        // The index could be building again from the start
+        return P.resolve();
+    }
+    return this.db._saveIndexBuild(this.req, this.index, {
+        status: 'building',
+        token: token
+    });
+};
+
+/**
+ * Run the build.
+ *
+ * Index writes that fail are logged and counted, but don't stop the scan.
+ * If any failed, the build is marked as failed rather than done, so that the
+ * index stays closed for reads. Failed builds are started over by
+ * DB#_resumeIndexBuilds.
+ *
+ * @param {string} token; optional partition token to resume after
+ * @return a promise that resolves to true once the build has completed, or
+ *         to false if it was cancelled or failed.
+ */
+IndexBuilder.prototype.run = function (token) {
+    var self = this;
+    var schema = this.req.schema;
+    var indexSchema = schema.secondaryIndexes[this.index];
+
+    // Diff the indexed and projected attributes
+    var secondaryKeys = Object.keys(indexSchema.attributes).filter(function(att) {
+        return !schema.iKeyMap[att] && att !== '_del';
+    });
+    var rebuilder = new IndexRebuilder(this.db, this.req, secondaryKeys, null, {
+        indexes: [this.index],
+        full: true
+    });
+
+    var options = {
+        token: token,
+        checkpoint: this._checkpoint.bind(this)
+    };
+    return dbu.scanTable(this.req.client, this.req.keyspace, this.req.columnfamily,
+            schema, options, function(row) {
+        if (self.cancelled) {
+            throw new BuildCancelled();
+        }
+        return rebuilder.handleRow(row);
+    })
+    .then(function() {
+        if (rebuilder.failures) {
+            self.db.log('error/table/cassandra/indexBuild', {
+                message: 'Failed to write ' + rebuilder.failures
+                    + ' entries of index ' + self.index,
+                keyspace: self.req.keyspace,
+                index: self.index
+            });
+            // The checkpoints moved past the failed entries
+            return self.db._saveIndexBuild(self.req, self.index, {
+                status: 'failed',
+                token: null,
+                failures: rebuilder.failures
+            })
+            .return(false);
+        }
+        return self.db._saveIndexBuild(self.req, self.index, { status: 'done' })
+        .return(true);
+    })
+    .catch(BuildCancelled, function() {
+        return false;
+    });
+};
+
 module.exports = {
-    IndexRebuilder: IndexRebuilder
+    IndexRebuilder: IndexRebuilder,
+    IndexBuilder: IndexBuilder
 };
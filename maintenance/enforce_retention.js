@@ -0,0 +1,57 @@
+"use strict";
+
+/**
+ * Apply the revision retention policy of a table to all of its rows.
+ *
+ * Policies are otherwise only applied to the revisions next to new writes,
+ * so this is needed after introducing or tightening a policy. Interrupted
+ * runs resume from their last checkpoint.
+ */
+
+var fs = require('fs');
+var yaml = require('js-yaml');
+var makeClient = require('../lib/index');
+
+var args = process.argv.slice(2);
+var options = {};
+var positional = args.filter(function(arg) {
+    var match = /^--([\w-]+)(?:=(.*))?$/.exec(arg);
+    if (match) {
+        options[match[1]] = match[2] === undefined ? true : match[2];
+        return false;
+    }
+    return true;
+});
+
+if (positional.length !== 3) {
+    console.error('Usage: node ' + process.argv[1]
+        + ' [--dry-run] [--restart] [--throttle=<rows per second>]'
+        + ' <config.yaml> <domain> <table>');
+    process.exit(1);
+}
+
+var conf = yaml.safeLoad(fs.readFileSync(positional[0]));
+
+makeClient({
+    conf: conf,
+    log: function(level, info) {
+        if (!/^(verbose|debug|trace)/.test(level)) {
+            console.error(level, JSON.stringify(info));
+        }
+    }
+})
+.then(function(db) {
+    return db.enforceRetention(positional[1], positional[2], {
+        dryRun: !!options['dry-run'],
+        restart: !!options.restart,
+        throttle: options.throttle && Number(options.throttle)
+    })
+    .then(function(report) {
+        console.log(JSON.stringify(report, null, 2));
+        return db.shutdown();
+    });
+})
+.catch(function(e) {
+    console.error(e.stack || e);
+    process.exit(1);
+});
@@ -66,4 +66,82 @@ describe('DB utilities', function() {
             dbu.makeSchemaHash(testTable0a),
             dbu.makeSchemaHash(testTable0b));
     });
+
+    it('tracks projected index attributes', function() {
+        var schemaInfo = dbu.makeSchemaInfo(
+                dbu.validateAndNormalizeSchema(JSON.parse(JSON.stringify(testTable0a))));
+        var idx = schemaInfo.secondaryIndexes.by_rev;
+        assert.deepEqual(idx.proj, ['comment']);
+        assert.deepEqual(idx.attributes.comment, 'string');
+        assert.deepEqual(idx.iKeyMap.comment, undefined);
+        assert.deepEqual(schemaInfo.projectionIndexes, { comment: ['by_rev'] });
+    });
+
+    it('validates and builds table properties', function() {
+        var schema = JSON.parse(JSON.stringify(testTable0a));
+        schema.options = {
+            compaction: { class: 'date_tiered', base_time_seconds: 3600 },
+            gc_grace_seconds: 86400,
+            caching: { keys: 'ALL', rows_per_partition: 100 },
+            bloom_filter_fp_chance: 0.05,
+            default_time_to_live: 0
+        };
+        dbu.validateAndNormalizeSchema(schema);
+        assert.deepEqual(dbu.getTableCompactionCQL(schema.options.compaction),
+            "compaction = { 'class' : 'DateTieredCompactionStrategy', "
+                + "'base_time_seconds' : '3600' }");
+        assert.deepEqual(dbu.getTablePropertiesCQL(schema.options),
+            " and gc_grace_seconds = 86400"
+                + " and caching = { 'keys' : 'ALL', 'rows_per_partition' : '100' }"
+                + " and bloom_filter_fp_chance = 0.05"
+                + " and default_time_to_live = 0");
+        assert.deepEqual(dbu.getTablePropertiesCQL({}, true),
+            " and gc_grace_seconds = 864000"
+                + " and caching = { 'keys' : 'ALL', 'rows_per_partition' : 'NONE' }"
+                + " and bloom_filter_fp_chance = 0.1"
+                + " and default_time_to_live = 0");
+
+        [
+            { compaction: { class: 'tiered' } },
+            { compaction: { class: 'leveled', sstable_size_in_mb: "1'" } },
+            { gc_grace_seconds: -1 },
+            { caching: { keys: 'SOME' } },
+            { bloom_filter_fp_chance: 0 },
+            { default_time_to_live: 1.5 }
+        ].forEach(function(options) {
+            var invalid = JSON.parse(JSON.stringify(testTable0a));
+            invalid.options = options;
+            assert.throws(function() {
+                dbu.validateAndNormalizeSchema(invalid);
+            }, dbu.ValidationError);
+        });
+    });
+
+    it('parses and validates key attributes in paths', function() {
+        var schemaInfo = dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema({
+            table: 'pathTable',
+            attributes: {
+                key: 'string',
+                flag: 'boolean',
+                rev: 'int'
+            },
+            index: [
+                { attribute: 'key', type: 'hash' },
+                { attribute: 'flag', type: 'range', order: 'asc' },
+                { attribute: 'rev', type: 'range', order: 'desc' }
+            ]
+        }));
+        assert.deepEqual(dbu.keyAttributesFromPath(schemaInfo, ['a', 'false', '3']),
+            { key: 'a', flag: false, rev: 3 });
+        [
+            ['a', 'abc'],
+            ['a', 'true', ''],
+            ['a', 'true', 'abc'],
+            ['a', 'true', 'Infinity']
+        ].forEach(function(path) {
+            assert.throws(function() {
+                dbu.keyAttributesFromPath(schemaInfo, path);
+            }, dbu.ValidationError);
+        });
+    });
 });
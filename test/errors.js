@@ -0,0 +1,73 @@
+"use strict";
+
+// mocha defines to avoid JSHint breakage
+/* global describe, it, before, beforeEach, after, afterEach */
+
+var assert = require('assert');
+var cass = require('cassandra-driver');
+var dbu = require('../lib/dbutils');
+var errors = require('../lib/errors');
+
+var defaults = {
+    type: 'query_error',
+    title: 'Error in Cassandra table storage backend'
+};
+
+function driverError(code) {
+    return new cass.errors.ResponseError(code, 'driver error');
+}
+
+describe('Error classification', function() {
+    it('maps validation errors to 400', function() {
+        var res = errors.toResponse(new dbu.ValidationError('Bad attribute: foo'), defaults);
+        assert.deepEqual(res.status, 400);
+        assert.deepEqual(res.body, {
+            type: 'https://restbase.org/errors/bad_request',
+            title: 'Bad attribute: foo'
+        });
+    });
+
+    it('passes through HTTP errors with a type URI', function() {
+        var res = errors.toResponse(new dbu.HTTPError({
+            status: 404,
+            body: { type: 'not_found', title: 'not found' }
+        }), defaults);
+        assert.deepEqual(res.status, 404);
+        assert.deepEqual(res.body.type, 'https://restbase.org/errors/not_found');
+    });
+
+    it('maps unavailable and timeout errors', function() {
+        var codes = cass.types.responseErrorCodes;
+        var res = errors.toResponse(driverError(codes.unavailableException), defaults);
+        assert.deepEqual(res.status, 503);
+        assert.ok(res.headers['retry-after']);
+
+        res = errors.toResponse(driverError(codes.readTimeout), defaults);
+        assert.deepEqual(res.status, 503);
+
+        res = errors.toResponse(driverError(codes.writeTimeout), defaults);
+        assert.deepEqual(res.status, 504);
+        assert.deepEqual(res.body.type, 'https://restbase.org/errors/timeout');
+        assert.deepEqual(res.body.detail, undefined);
+    });
+
+    it('maps errors in generated queries to 500', function() {
+        var codes = cass.types.responseErrorCodes;
+        var res = errors.toResponse(driverError(codes.syntaxError), defaults);
+        assert.deepEqual(res.status, 500);
+        res = errors.toResponse(driverError(codes.invalid), defaults);
+        assert.deepEqual(res.status, 500);
+        assert.ok(errors.isDriverError(driverError(codes.invalid)));
+    });
+
+    it('hides internals of unclassified errors', function() {
+        var res = errors.toResponse(new Error('boom'), defaults);
+        assert.deepEqual(res, {
+            status: 500,
+            body: {
+                type: 'https://restbase.org/errors/query_error',
+                title: defaults.title
+            }
+        });
+    });
+});
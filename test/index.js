@@ -4,17 +4,20 @@
 /* global describe, it, before, beforeEach, after, afterEach */
 
 var assert = require('assert');
+var P = require('bluebird');
 var cass = require('cassandra-driver');
 var Uuid = cass.types.Uuid;
 var TimeUuid = cass.types.TimeUuid;
 var Integer = cass.types.Integer;
 var BigDecimal = cass.types.BigDecimal;
 var makeClient = require('../lib/index');
+var DB = require('../lib/db');
 var dbu = require('../lib/dbutils.js');
 //TODO: change this name
 var router = require('../test/test_router.js');
 var fs = require('fs');
 var yaml = require('js-yaml');
+var extend = require('extend');
 
 
 function deepEqual (result, expected) {
@@ -246,6 +249,146 @@ describe('DB backend', function() {
         });
     });
 
+    describe('listTables', function() {
+        it('lists the tables of a domain', function() {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/',
+                method: 'get'
+            })
+            .then(function(response) {
+                deepEqual(response.status, 200);
+                var tables = {};
+                response.body.items.forEach(function(item) {
+                    tables[item.table] = item;
+                });
+                var simpleTable = tables['simple-table'];
+                assert.ok(simpleTable, 'simple-table is not listed');
+                deepEqual(simpleTable.storage_group, 'test.domains');
+                deepEqual(simpleTable.keyspace, db._keyspaceName(
+                            'restbase.cassandra.test.local', 'simple-table'));
+                deepEqual(simpleTable.version, 1);
+                assert.ok(simpleTable.tid);
+                assert.ok(tables.multiRangeTable, 'multiRangeTable is not listed');
+            });
+        });
+    });
+
+    describe('replication', function() {
+        it('replicates storage groups per datacenter', function() {
+            var groups = db._buildStorageGroups([{
+                name: 'multi.dc',
+                domains: 'multi.dc.local',
+                replication: { eqiad: 3, codfw: 2 }
+            }]);
+            deepEqual(db._replicationOptions(undefined, groups[0]),
+                "{ 'class': 'NetworkTopologyStrategy', 'codfw': 2, 'eqiad': 3 }");
+            deepEqual(db._replicationOptions('low', groups[0]),
+                "{ 'class': 'NetworkTopologyStrategy', 'codfw': 1, 'eqiad': 1 }");
+            deepEqual(db._replicationOptions(),
+                "{ 'class': 'NetworkTopologyStrategy', 'datacenter1': 3 }");
+        });
+
+        it('keeps replication changed by hand without configured replication', function() {
+            var req;
+            function setReplication(factor) {
+                return db.client.execute_p('ALTER KEYSPACE ' + dbu.cassID(req.keyspace)
+                    + " WITH REPLICATION = { 'class': 'NetworkTopologyStrategy', "
+                    + "'datacenter1': " + factor + ' }');
+            }
+            return db._makeInternalRequest('restbase.cassandra.test.local', 'varintTable',
+                    { table: 'varintTable' })
+            .then(function(res) {
+                req = res;
+                return setReplication(2);
+            })
+            .then(function() {
+                return db._updateReplication(req, 'low');
+            })
+            .then(function(altered) {
+                deepEqual(altered, false);
+                return setReplication(1);
+            });
+        });
+
+        it('rejects invalid replication config', function() {
+            assert.throws(function() {
+                db._buildStorageGroups([{
+                    name: 'multi.dc',
+                    domains: 'multi.dc.local',
+                    replication: { eqiad: 0 }
+                }]);
+            }, /Invalid replication for storage group multi.dc/);
+        });
+
+        it('routes storage groups to their own cluster', function() {
+            var client = { name: 'group client' };
+            var conf = extend({}, db.conf, {
+                storage_groups: [{
+                    name: 'isolated',
+                    domains: 'isolated.local',
+                    hosts: ['10.0.0.1'],
+                    localDc: 'isolated_dc',
+                    keyspacePrefix: 'isolated'
+                }]
+            });
+            var groupDB = new DB(db.client, { conf: conf, log: db.log },
+                    { isolated: client });
+            assert.ok(groupDB._client('isolated.local') === client);
+            assert.ok(groupDB._client('restbase.cassandra.test.local') === db.client);
+            deepEqual(groupDB._keyspaceName('isolated.local', 'table'), 'isolated_T_table');
+            deepEqual(groupDB._replication(undefined,
+                    groupDB._resolveStorageGroup('isolated.local')), { isolated_dc: 3 });
+            assert.throws(function() {
+                return new DB(db.client, { conf: conf, log: db.log });
+            }, /No client for storage group isolated/);
+        });
+
+        it('rejects invalid cluster config', function() {
+            assert.throws(function() {
+                db._buildStorageGroups([{
+                    name: 'isolated',
+                    domains: 'isolated.local',
+                    hosts: []
+                }]);
+            }, /Invalid hosts for storage group isolated/);
+            assert.throws(function() {
+                db._buildStorageGroups([{
+                    name: 'isolated',
+                    domains: 'isolated.local',
+                    keyspacePrefix: 'not-valid'
+                }]);
+            }, /Invalid keyspace prefix for storage group isolated/);
+        });
+
+        it('discovers datacenters', function() {
+            return db._discoverDatacenters()
+            .then(function(datacenters) {
+                assert.ok(datacenters.indexOf('datacenter1') !== -1);
+                db.datacenters = undefined;
+            });
+        });
+
+        it('discovers datacenters of storage group clusters', function() {
+            var conf = extend({}, db.conf, {
+                storage_groups: [{
+                    name: 'isolated',
+                    domains: 'isolated.local',
+                    hosts: ['localhost'],
+                    localDc: 'isolated_dc'
+                }]
+            });
+            var groupDB = new DB(db.client, { conf: conf, log: db.log },
+                    { isolated: db.client });
+            return groupDB._discoverDatacenters()
+            .then(function() {
+                var group = groupDB._resolveStorageGroup('isolated.local');
+                assert.ok(group.datacenters.indexOf('datacenter1') !== -1);
+                deepEqual(groupDB._replication(undefined, group).datacenter1, 3);
+                assert.ok(!groupDB._replication(undefined, group).isolated_dc);
+            });
+        });
+    });
+
     describe('put', function() {
         it('simple put insert', function() {
             return router.request({
@@ -298,6 +441,59 @@ describe('DB backend', function() {
                 deepEqual(response, {status:201});
             });
         });
+        it('put with ttl', function() {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                method: 'put',
+                body: {
+                    table: 'simple-table',
+                    ttl: 3600,
+                    attributes: {
+                        key: 'expiring',
+                        tid: dbu.testTidFromDate(new Date('2013-08-09 18:43:58-0700')),
+                        body: new Buffer('<p>Expires soon</p>')
+                    }
+                }
+            })
+            .then(function(response) {
+                deepEqual(response, {status:201});
+                return router.request({
+                    uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                    method: 'get',
+                    body: {
+                        table: 'simple-table',
+                        withTTL: true,
+                        attributes: {
+                            key: 'expiring'
+                        }
+                    }
+                });
+            })
+            .then(function(response) {
+                deepEqual(response.status, 200);
+                var ttl = response.body.items[0]._ttl;
+                assert.ok(ttl > 3500 && ttl <= 3600, 'unexpected ttl ' + ttl);
+            });
+        });
+        it('rejects ttls above the maximum', function() {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                method: 'put',
+                body: {
+                    table: 'simple-table',
+                    ttl: 21 * 365 * 86400,
+                    attributes: {
+                        key: 'expiring',
+                        tid: dbu.testTidFromDate(new Date('2013-08-09 18:43:58-0700'))
+                    }
+                }
+            })
+            .then(function(response) {
+                deepEqual(response.status, 400);
+                assert.ok(/the maximum is/.test(response.body.title),
+                        'error message looks wrong');
+            });
+        });
         it('put with if not exists and non index attributes', function() {
             return router.request({
                     uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
@@ -331,7 +527,30 @@ describe('DB backend', function() {
                 }
             })
             .then(function(response) {
-                deepEqual(response, {status:201});
+                // There is no matching row, so the condition fails
+                deepEqual(response.status, 412);
+                deepEqual(response.body.type, 'https://restbase.org/errors/precondition_failed');
+            });
+        });
+        it('put with failing if not exists', function() {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                method: 'put',
+                body: {
+                    table: "simple-table",
+                    if : "not exists",
+                    attributes: {
+                        key: "testing if not exists",
+                        tid: dbu.testTidFromDate(new Date('2013-08-10 18:43:58-0700')),
+                        body: new Buffer("<p>a conflicting write</p>")
+                    }
+                }
+            })
+            .then(function(response) {
+                deepEqual(response.status, 412);
+                deepEqual(response.body.conflict.key, 'testing if not exists');
+                deepEqual(response.body.conflict.body,
+                        new Buffer("<p>if not exists with non key attr</p>"));
             });
         });
         it('index update', function() {
@@ -454,6 +673,81 @@ describe('DB backend', function() {
                 deepEqual(response, {status:201});
             });
         });
+        it('retries background updates left in the work table', function() {
+            var workReq;
+            var id = TimeUuid.fromDate(new Date(Date.now() - 3600 * 1000));
+            return db._makeInternalRequest('restbase.cassandra.test.local',
+                    'simpleSecondaryIndexTable', { table: 'simpleSecondaryIndexTable' })
+            .then(function(req) {
+                workReq = req;
+                // As left behind by a process that failed before running the
+                // updates of a write
+                return db._work.prepare(workReq.extend({
+                    query: {
+                        table: 'simpleSecondaryIndexTable',
+                        attributes: {
+                            key: 'test',
+                            tid: TimeUuid.now(),
+                            uri: 'uri3',
+                            body: new Buffer('body3')
+                        }
+                    }
+                }));
+            })
+            .then(function(work) {
+                work.query.params[0] = id;
+                return db.client.execute_p(work.query.cql, work.query.params,
+                        { prepare: true });
+            })
+            .then(function() {
+                return db._work.redrive(workReq);
+            })
+            .then(function(count) {
+                assert.ok(count >= 1);
+                return db.client.execute_p('select * from '
+                    + dbu.cassID(workReq.keyspace) + '."work" where "id" = ?',
+                    [id], { prepare: true });
+            })
+            .then(function(result) {
+                deepEqual(result.rows.length, 0);
+            });
+        });
+        it('fails writes without a work table', function() {
+            var workReq;
+            function putItem() {
+                return router.request({
+                    uri: '/restbase.cassandra.test.local/sys/table/simpleSecondaryIndexTable/',
+                    method: 'put',
+                    body: {
+                        table: 'simpleSecondaryIndexTable',
+                        attributes: {
+                            key: 'no work table',
+                            tid: TimeUuid.now(),
+                            uri: 'uri4'
+                        }
+                    }
+                });
+            }
+            return db._makeInternalRequest('restbase.cassandra.test.local',
+                    'simpleSecondaryIndexTable', { table: 'simpleSecondaryIndexTable' })
+            .then(function(req) {
+                workReq = req;
+                return db.client.execute_p('drop table '
+                    + dbu.cassID(workReq.keyspace) + '."work"');
+            })
+            .then(function() {
+                db._work.forget(workReq.keyspace);
+                return putItem();
+            })
+            .then(function(response) {
+                deepEqual(response.status, 500);
+                return db._work.ensureTable(workReq);
+            })
+            .then(putItem)
+            .then(function(response) {
+                deepEqual(response.status, 201);
+            });
+        });
         it('unversioned index', function() {
             return router.request({
                 uri: '/restbase.cassandra.test.local/sys/table/unversionedSecondaryIndexTable/',
@@ -536,6 +830,105 @@ describe('DB backend', function() {
                 deepEqual(response, {status:201});
             });
         });
+        it('batch put', function() {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                method: 'put',
+                body: {
+                    table: 'simple-table',
+                    items: [
+                        {
+                            attributes: {
+                                key: 'batch1',
+                                tid: dbu.testTidFromDate(new Date('2013-08-08 18:43:58-0700')),
+                                body: new Buffer('<p>one</p>')
+                            }
+                        },
+                        {
+                            attributes: {
+                                key: 'batch1',
+                                tid: dbu.testTidFromDate(new Date('2013-08-09 18:43:58-0700')),
+                                body: new Buffer('<p>two</p>')
+                            }
+                        },
+                        {
+                            // Missing the key attribute
+                            attributes: {
+                                tid: dbu.testTidFromDate(new Date('2013-08-09 18:43:58-0700'))
+                            }
+                        },
+                        {
+                            attributes: {
+                                key: 'batch2',
+                                tid: dbu.testTidFromDate(new Date('2013-08-08 18:43:58-0700')),
+                                body: new Buffer('<p>three</p>')
+                            }
+                        }
+                    ]
+                }
+            })
+            .then(function(response) {
+                deepEqual(response.status, 200);
+                deepEqual(response.body.items.map(function(item) {
+                    return item.status;
+                }), [201, 201, 400, 201]);
+                return router.request({
+                    uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                    method: 'get',
+                    body: {
+                        table: 'simple-table',
+                        attributes: {
+                            key: 'batch1'
+                        }
+                    }
+                });
+            })
+            .then(function(response) {
+                deepEqual(response.body.items.length, 2);
+                deepEqual(response.body.items[0].body, new Buffer('<p>two</p>'));
+            });
+        });
+        it('splits large batch puts', function() {
+            var items = [];
+            var body = new Buffer(new Array(1025).join('x'));
+            for (var i = 0; i < 150; i++) {
+                items.push({
+                    attributes: {
+                        key: 'batch3',
+                        tid: dbu.testTidFromDate(new Date(Date.UTC(2013, 7, 8) + i * 1000)),
+                        body: body
+                    }
+                });
+            }
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                method: 'put',
+                body: {
+                    table: 'simple-table',
+                    items: items
+                }
+            })
+            .then(function(response) {
+                deepEqual(response.status, 200);
+                deepEqual(response.body.items.filter(function(item) {
+                    return item.status !== 201;
+                }), []);
+                return router.request({
+                    uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                    method: 'get',
+                    body: {
+                        table: 'simple-table',
+                        attributes: {
+                            key: 'batch3',
+                            tid: items[149].attributes.tid
+                        }
+                    }
+                });
+            })
+            .then(function(response) {
+                deepEqual(response.body.items.length, 1);
+            });
+        });
         it('try a put on a non existing table', function() {
             return router.request({
                 uri: '/restbase.cassandra.test.local/sys/table/unknownTable/',
@@ -549,7 +942,7 @@ describe('DB backend', function() {
                 }
             })
             .then(function(response) {
-                deepEqual(response.status, 500);
+                deepEqual(response.status, 404);
             });
         });
     });
@@ -693,6 +1086,91 @@ describe('DB backend', function() {
                 } ]);
             });
         });
+        it('multi-get on one partition', function() {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                method: 'get',
+                body: {
+                    table: 'simple-table',
+                    proj: ['key', 'tid', 'body'],
+                    keys: [
+                        {
+                            key: 'batch1',
+                            tid: dbu.testTidFromDate(new Date('2013-08-09 18:43:58-0700'))
+                        },
+                        {
+                            key: 'batch1',
+                            tid: dbu.testTidFromDate(new Date('2013-07-09 18:43:58-0700'))
+                        },
+                        {
+                            key: 'batch1',
+                            tid: dbu.testTidFromDate(new Date('2013-08-08 18:43:58-0700'))
+                        }
+                    ]
+                }
+            })
+            .then(function(response) {
+                deepEqual(response.status, 200);
+                var items = response.body.items;
+                deepEqual(items.length, 3);
+                deepEqual(items[0].status, 200);
+                deepEqual(items[0].items[0].body, new Buffer('<p>two</p>'));
+                deepEqual(items[1], { status: 404, items: [] });
+                deepEqual(items[2].status, 200);
+                deepEqual(items[2].items[0].body, new Buffer('<p>one</p>'));
+            });
+        });
+        it('multi-get on one partition with a projection', function() {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                method: 'get',
+                body: {
+                    table: 'simple-table',
+                    proj: ['body'],
+                    keys: [
+                        {
+                            key: 'batch1',
+                            tid: dbu.testTidFromDate(new Date('2013-08-09 18:43:58-0700'))
+                        },
+                        {
+                            key: 'batch1',
+                            tid: dbu.testTidFromDate(new Date('2013-07-09 18:43:58-0700'))
+                        }
+                    ]
+                }
+            })
+            .then(function(response) {
+                deepEqual(response.status, 200);
+                deepEqual(response.body.items, [
+                    { status: 200, items: [{ body: new Buffer('<p>two</p>') }] },
+                    { status: 404, items: [] }
+                ]);
+            });
+        });
+        it('multi-get across partitions', function() {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                method: 'get',
+                body: {
+                    table: 'simple-table',
+                    concurrency: 2,
+                    keys: [
+                        { key: 'batch2' },
+                        { key: 'no such key' },
+                        { key: 'batch1' }
+                    ]
+                }
+            })
+            .then(function(response) {
+                deepEqual(response.status, 200);
+                var items = response.body.items;
+                deepEqual(items.map(function(item) {
+                    return item.status;
+                }), [200, 404, 200]);
+                deepEqual(items[0].items[0].body, new Buffer('<p>three</p>'));
+                deepEqual(items[2].items.length, 2);
+            });
+        });
         it('simple get with paging', function() {
             return router.request({
                 uri:'/restbase.cassandra.test.local/sys/table/simple-table/',
@@ -797,6 +1275,158 @@ describe('DB backend', function() {
                 }]);
             });
         });
+        it("index query returns the revision of the index entry", function() {
+            var indexTids;
+            function indexQuery(proj) {
+                return router.request({
+                    uri: "/restbase.cassandra.test.local/sys/table/simpleSecondaryIndexTable/",
+                    method: "get",
+                    body: {
+                        table: "simpleSecondaryIndexTable",
+                        index: "by_uri",
+                        attributes: {
+                            uri: "uri3"
+                        },
+                        proj: proj
+                    }
+                });
+            }
+            // Answered from the index alone
+            return indexQuery(['key', 'tid'])
+            .then(function(response) {
+                indexTids = response.body.items;
+                deepEqual(indexTids.length, 2);
+                // Checked against the data table
+                return indexQuery(['key', 'tid', 'restrictions']);
+            })
+            .then(function(response) {
+                deepEqual(response.body.items.map(function(item) {
+                    return { key: item.key, tid: item.tid };
+                }), indexTids);
+            });
+        });
+        it("answers index queries for projected attributes from the index", function() {
+            var origGet = db._get;
+            var dataReads = 0;
+            db._get = function(req) {
+                if (req.columnfamily === 'data' && !req.query.index) {
+                    dataReads++;
+                }
+                return origGet.apply(this, arguments);
+            };
+            function indexQuery(proj) {
+                return db.get('restbase.cassandra.test.local', {
+                    table: "simpleSecondaryIndexTable",
+                    index: "by_uri",
+                    attributes: {
+                        uri: "uri3"
+                    },
+                    proj: proj
+                });
+            }
+            return indexQuery(['key', 'uri', 'body'])
+            .then(function(res) {
+                deepEqual(res.items.length, 2);
+                deepEqual(dataReads, 0);
+                return indexQuery(['key', 'restrictions']);
+            })
+            .then(function(res) {
+                deepEqual(res.items.length, 2);
+                deepEqual(dataReads, 2);
+            })
+            .finally(function() {
+                db._get = origGet;
+            });
+        });
+        it("refreshes projections on out-of-order writes", function() {
+            var newTid = TimeUuid.now();
+            var oldTid = TimeUuid.fromDate(new Date(Date.now() - 3600 * 1000));
+            function put(tid, body) {
+                return router.request({
+                    uri: '/restbase.cassandra.test.local/sys/table/simpleSecondaryIndexTable/',
+                    method: 'put',
+                    body: {
+                        table: "simpleSecondaryIndexTable",
+                        attributes: {
+                            key: "projection",
+                            tid: tid,
+                            uri: "uri_projection",
+                            body: body
+                        }
+                    }
+                });
+            }
+            function indexQuery(proj) {
+                return router.request({
+                    uri: "/restbase.cassandra.test.local/sys/table/simpleSecondaryIndexTable/",
+                    method: "get",
+                    body: {
+                        table: "simpleSecondaryIndexTable",
+                        index: "by_uri",
+                        attributes: {
+                            uri: "uri_projection"
+                        },
+                        proj: proj
+                    }
+                });
+            }
+            return put(newTid, 'newer')
+            .then(function() {
+                return put(oldTid, 'older');
+            })
+            .delay(500)
+            .then(function() {
+                return indexQuery(['key', 'body']);
+            })
+            .then(function(response) {
+                deepEqual(response.body.items, [{
+                    key: 'projection',
+                    body: new Buffer('newer')
+                }]);
+                return indexQuery(['key', 'body', 'restrictions']);
+            })
+            .then(function(response) {
+                deepEqual(response.body.items.length, 1);
+                deepEqual(response.body.items[0].body, new Buffer('newer'));
+            });
+        });
+        it("index query with paging", function() {
+            var query = {
+                table: "simpleSecondaryIndexTable",
+                index: "by_uri",
+                attributes: {
+                    uri: "uri3"
+                },
+                proj: ['key', 'uri', 'body'],
+                limit: 1
+            };
+            return router.request({
+                uri: "/restbase.cassandra.test.local/sys/table/simpleSecondaryIndexTable/",
+                method: "get",
+                body: query
+            })
+            .then(function(response){
+                deepEqual(response.body.items, [{
+                    key: "test2",
+                    uri: "uri3",
+                    body: new Buffer("test_body3_modified")
+                }]);
+                assert.ok(response.body.next, 'paging token missing');
+                query.next = response.body.next;
+                return router.request({
+                    uri: "/restbase.cassandra.test.local/sys/table/simpleSecondaryIndexTable/",
+                    method: "get",
+                    body: query
+                });
+            })
+            .then(function(response){
+                deepEqual(response.body.items, [{
+                    key: "test",
+                    uri: "uri3",
+                    body: new Buffer("body3")
+                }]);
+            });
+        });
         it('get static columns', function() {
             return router.request({
                 uri:'/restbase.cassandra.test.local/sys/table/simple-table/',
@@ -890,19 +1520,81 @@ describe('DB backend', function() {
                 }
             })
             .then(function(response) {
-                deepEqual(response.status, 500);
+                deepEqual(response.status, 404);
             });
         });
     });
-    //TODO: implement this using http handler when alternate rest-url for delete item are supported
     describe('delete', function() {
         it('simple delete query', function() {
-            return db.delete('restbase.cassandra.test.local', {
-                table: "simple-table",
-                attributes: {
-                    tid: dbu.testTidFromDate(new Date('2013-08-09 18:43:58-0700')),
-                    key: "testing"
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                method: 'delete',
+                body: {
+                    table: "simple-table",
+                    attributes: {
+                        tid: dbu.testTidFromDate(new Date('2013-08-09 18:43:58-0700')),
+                        key: "testing"
+                    }
+                }
+            })
+            .then(function(response) {
+                deepEqual(response.status, 204);
+            });
+        });
+        it('delete by path', function() {
+            var tid = dbu.testTidFromDate(new Date('2013-08-10 18:43:58-0700'));
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/simple-table/'
+                    + 'testing if not exists/' + tid.toString(),
+                method: 'delete'
+            })
+            .then(function(response) {
+                deepEqual(response.status, 204);
+                return router.request({
+                    uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                    method: 'get',
+                    body: {
+                        table: "simple-table",
+                        attributes: {
+                            key: "testing if not exists",
+                            tid: tid
+                        }
+                    }
+                });
+            })
+            .then(function(response) {
+                deepEqual(response.status, 404);
+            });
+        });
+        it('refuses deletes with a partial key', function() {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                method: 'delete',
+                body: {
+                    table: "simple-table",
+                    attributes: {
+                        key: "testing"
+                    }
+                }
+            })
+            .then(function(response) {
+                deepEqual(response.status, 400);
+            });
+        });
+        it('delete a missing item', function() {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/simple-table/',
+                method: 'delete',
+                body: {
+                    table: "simple-table",
+                    attributes: {
+                        tid: dbu.testTidFromDate(new Date('2013-08-09 18:43:58-0700')),
+                        key: "testing"
+                    }
                 }
+            })
+            .then(function(response) {
+                deepEqual(response.status, 404);
             });
         });
     });
@@ -1223,12 +1915,12 @@ describe('DB backend', function() {
             return router.request({
                 uri: "/restbase.cassandra.test.local/sys/table/typeTable",
                 method: "delete",
-                body: {}
+                body: { confirm: 'typeTable' }
             }).then(function() {
                 return router.request({
                     uri: "/restbase.cassandra.test.local/sys/table/typeSetsTable",
                     method: "delete",
-                    body: {}
+                    body: { confirm: 'typeSetsTable' }
                 });
             });
         });
@@ -1236,34 +1928,207 @@ describe('DB backend', function() {
 
     describe('dropTable', function() {
         this.timeout(15000);
-        it('drop some simple table', function() {
+        var sharedSchema = {
+            table: 'sharedTable',
+            options: { durability: 'low' },
+            attributes: {
+                key: 'string',
+                value: 'string'
+            },
+            index: [
+                { attribute: 'key', type: 'hash' }
+            ],
+            secondaryIndexes: {
+                by_value: [
+                    { attribute: 'value', type: 'hash' }
+                ]
+            }
+        };
+        var domains = ['restbase.cassandra.test.local', 'other.cassandra.test.local'];
+        function sharedTableRequest(domain, method, body) {
+            return router.request({
+                uri: '/' + domain + '/sys/table/sharedTable/',
+                method: method,
+                body: body
+            });
+        }
+        it('requires a confirmation', function() {
             return router.request({
                 uri: "/restbase.cassandra.test.local/sys/table/varintTable",
                 method: "delete",
                 body: {}
+            })
+            .then(function(response) {
+                deepEqual(response.status, 400);
+            });
+        });
+        it('only deletes the domain\'s rows in a shared keyspace', function() {
+            return P.each(domains, function(domain) {
+                return router.request({
+                    uri: '/' + domain + '/sys/table/sharedTable',
+                    method: 'put',
+                    body: sharedSchema
+                })
+                .then(function(response) {
+                    deepEqual(response.status, 201);
+                    return sharedTableRequest(domain, 'put', {
+                        table: 'sharedTable',
+                        attributes: { key: 'shared', value: domain }
+                    });
+                })
+                .then(function(response) {
+                    deepEqual(response.status, 201);
+                });
+            })
+            .then(function() {
+                return router.request({
+                    uri: '/' + domains[0] + '/sys/table/sharedTable',
+                    method: 'delete',
+                    query: { confirm: 'sharedTable' }
+                });
+            })
+            .then(function(response) {
+                deepEqual(response.status, 204);
+                return sharedTableRequest(domains[0], 'get', {
+                    table: 'sharedTable',
+                    attributes: { key: 'shared' }
+                });
+            })
+            .then(function(response) {
+                deepEqual(response.status, 404);
+                return sharedTableRequest(domains[1], 'get', {
+                    table: 'sharedTable',
+                    attributes: { key: 'shared' }
+                });
+            })
+            .then(function(response) {
+                deepEqual(response.status, 200);
+                deepEqual(response.body.items[0].value, domains[1]);
+                return router.request({
+                    uri: '/' + domains[1] + '/sys/table/sharedTable',
+                    method: 'delete',
+                    query: { confirm: 'sharedTable' }
+                });
+            })
+            .then(function(response) {
+                deepEqual(response.status, 204);
+            });
+        });
+        it('checks the data of shared keyspaces missing from the registry', function() {
+            var keyspace = db._keyspaceName(domains[1], 'sharedTable');
+            return P.each(domains, function(domain) {
+                return router.request({
+                    uri: '/' + domain + '/sys/table/sharedTable',
+                    method: 'put',
+                    body: sharedSchema
+                })
+                .then(function() {
+                    return sharedTableRequest(domain, 'put', {
+                        table: 'sharedTable',
+                        attributes: { key: 'shared', value: domain }
+                    });
+                });
+            })
+            .then(function() {
+                // As for domains that didn't call createTable since the
+                // registry was introduced
+                return db._ensureRegistry();
+            })
+            .then(function() {
+                return db.client.execute_p('delete from '
+                    + db._registryTable('keyspace_domains')
+                    + ' where "keyspace" = ? and "domain" = ?',
+                    [keyspace, domains[1]], { prepare: true });
+            })
+            .then(function() {
+                return router.request({
+                    uri: '/' + domains[0] + '/sys/table/sharedTable',
+                    method: 'delete',
+                    query: { confirm: 'sharedTable' }
+                });
+            })
+            .then(function(response) {
+                deepEqual(response.status, 204);
+                return sharedTableRequest(domains[1], 'get', {
+                    table: 'sharedTable',
+                    attributes: { key: 'shared' }
+                });
+            })
+            .then(function(response) {
+                deepEqual(response.status, 200);
+                deepEqual(response.body.items[0].value, domains[1]);
+                return router.request({
+                    uri: '/' + domains[1] + '/sys/table/sharedTable',
+                    method: 'delete',
+                    query: { confirm: 'sharedTable' }
+                });
+            })
+            .then(function(response) {
+                deepEqual(response.status, 204);
+            });
+        });
+        it('recreates a dropped table with secondary indexes', function() {
+            var domain = domains[0];
+            function createAndPut() {
+                return router.request({
+                    uri: '/' + domain + '/sys/table/sharedTable',
+                    method: 'put',
+                    body: sharedSchema
+                })
+                .then(function(response) {
+                    deepEqual(response.status, 201);
+                    return sharedTableRequest(domain, 'put', {
+                        table: 'sharedTable',
+                        attributes: { key: 'recreated', value: 'value' }
+                    });
+                })
+                .then(function(response) {
+                    deepEqual(response.status, 201);
+                });
+            }
+            function drop() {
+                return router.request({
+                    uri: '/' + domain + '/sys/table/sharedTable',
+                    method: 'delete',
+                    query: { confirm: 'sharedTable' }
+                })
+                .then(function(response) {
+                    deepEqual(response.status, 204);
+                });
+            }
+            return createAndPut()
+            .then(drop)
+            .then(createAndPut)
+            .then(drop);
+        });
+        it('drop some simple table', function() {
+            return router.request({
+                uri: "/restbase.cassandra.test.local/sys/table/varintTable",
+                method: "delete",
+                body: { confirm: 'varintTable' }
             }).then(function() {
                 return router.request({
                     uri: "/restbase.cassandra.test.local/sys/table/simple-table",
                     method: "delete",
-                    body: {}
+                    body: { confirm: 'simple-table' }
                 });
             }).then(function() {
                 return router.request({
                     uri: "/restbase.cassandra.test.local/sys/table/multiRangeTable",
                     method: "delete",
-                    body: {}
+                    body: { confirm: 'multiRangeTable' }
                 });
             }).then(function() {
                 return router.request({
                     uri: "/restbase.cassandra.test.local/sys/table/simpleSecondaryIndexTable",
                     method: "delete",
-                    body: {}
+                    body: { confirm: 'simpleSecondaryIndexTable' }
                 });
             }).then(function() {
                 return router.request({
                     uri: "/restbase.cassandra.test.local/sys/table/unversionedSecondaryIndexTable",
                     method: "delete",
-                    body: {}
+                    body: { confirm: 'unversionedSecondaryIndexTable' }
                 });
             });
         });
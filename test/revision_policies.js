@@ -4,10 +4,12 @@
 /* global describe, it, before, beforeEach, after, afterEach */
 
 var assert = require('assert');
+var P = require('bluebird');
 var cass = require('cassandra-driver');
 var dbu = require('../lib/dbutils.js');
 var fs = require('fs');
 var makeClient = require('../lib/index');
+var revPolicy = require('../lib/revisionPolicy');
 var TimeUuid = cass.types.TimeUuid;
 var yaml = require('js-yaml');
 
@@ -64,7 +66,7 @@ describe('MVCC revision policies', function() {
     });
 
     after(function() {
-        return db.dropTable("domains_test", 'revPolicyLatestTest');
+        return db.dropTable("domains_test", 'revPolicyLatestTest', 'revPolicyLatestTest');
     });
 
     it('sets a TTL on all but the latest N entries', function() {
@@ -147,6 +149,35 @@ describe('MVCC revision policies', function() {
                 type: 'latest',
                 count: 0,        // Invalid
                 grace_ttl: 86400
+            },
+            {
+                type: 'latest',
+                count: 1,
+                grace_ttl: 86400,
+                intervals: [ { interval: 'day' } ]  // Invalid
+            },
+            {
+                type: 'interval',
+                grace_ttl: 86400,
+                intervals: [ { interval: 'fortnight' } ]  // Invalid
+            },
+            {
+                type: 'interval',
+                grace_ttl: 86400,
+                intervals: [
+                    { interval: 'day' },    // Invalid: count required
+                    { interval: 'month' }
+                ]
+            },
+            {
+                type: 'age',     // Invalid: max_age required
+                grace_ttl: 86400
+            },
+            {
+                type: 'latest',
+                count: 1,
+                max_age: 86400,  // Invalid
+                grace_ttl: 86400
             }
         ];
 
@@ -159,6 +190,219 @@ describe('MVCC revision policies', function() {
         });
     });
 
+    it('keeps the latest revision per interval', function() {
+        var schemaInfo = dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema({
+            attributes: {
+                title: 'string',
+                tid: 'timeuuid'
+            },
+            index: [
+                { attribute: 'title', type: 'hash' },
+                { attribute: 'tid', type: 'range', order: 'desc' }
+            ],
+            revisionRetentionPolicy: {
+                type: 'interval',
+                count: 2,
+                grace_ttl: 86400,
+                intervals: [
+                    { interval: 'day', count: 30 },
+                    { interval: 'month' }
+                ]
+            }
+        }));
+        var manager = new revPolicy.RevisionPolicyManager(null, null, schemaInfo);
+        var day = 86400000;
+        // Noon UTC today, so that hour offsets stay within the same day
+        var today = Math.floor(Date.now() / day) * day + day / 2;
+        manager.now = today;
+        function row(time) {
+            return { title: 'Foo', tid: TimeUuid.fromDate(new Date(time)) };
+        }
+        var kept = [
+            today,                    // latest two
+            today - 1000,
+            today - 2000,             // latest of today
+            today - 3000,
+            today - 2 * day,          // latest of the day
+            today - 2 * day - 1000,
+            today - 60 * day,         // latest of the month
+            today - 60 * day - 1000
+        ].map(function(time) {
+            return manager._keep(row(time));
+        });
+        assert.deepEqual(kept, [true, true, true, false, true, false, true, false]);
+    });
+
+    it('expires revisions older than max_age', function() {
+        var schemaInfo = dbu.makeSchemaInfo(dbu.validateAndNormalizeSchema({
+            attributes: {
+                title: 'string',
+                tid: 'timeuuid'
+            },
+            index: [
+                { attribute: 'title', type: 'hash' },
+                { attribute: 'tid', type: 'range', order: 'desc' }
+            ],
+            revisionRetentionPolicy: {
+                type: 'age',
+                max_age: 90 * 86400,
+                grace_ttl: 86400
+            }
+        }));
+        assert.deepEqual(schemaInfo.revisionRetentionPolicy.count, 1);
+        var manager = new revPolicy.RevisionPolicyManager(null, null, schemaInfo);
+        var day = 86400000;
+        var now = manager.now;
+        var kept = [
+            now - 100 * day,          // the latest is always kept
+            now - 100 * day - 1000,
+        ].map(function(time) {
+            return manager._keep({ title: 'Foo', tid: TimeUuid.fromDate(new Date(time)) });
+        });
+        assert.deepEqual(kept, [true, false]);
+
+        manager = new revPolicy.RevisionPolicyManager(null, null, schemaInfo);
+        now = manager.now;
+        kept = [now - day, now - 89 * day, now - 91 * day].map(function(time) {
+            return manager._keep({ title: 'Foo', tid: TimeUuid.fromDate(new Date(time)) });
+        });
+        assert.deepEqual(kept, [true, true, false]);
+    });
+
+    it('enforces retention policies retroactively', function() {
+        var schema = {
+            table: 'revPolicyEnforceTest',
+            options: { durability: 'low' },
+            attributes: {
+                title: 'string',
+                tid: 'timeuuid',
+                comment: 'string'
+            },
+            index: [
+                { attribute: 'title', type: 'hash' },
+                { attribute: 'tid', type: 'range', order: 'desc' }
+            ]
+        };
+        var puts = [];
+        ['One', 'Two'].forEach(function(title) {
+            [1, 2, 3].forEach(function(i) {
+                puts.push({
+                    table: 'revPolicyEnforceTest',
+                    attributes: {
+                        title: title,
+                        tid: dbu.testTidFromDate(new Date('2015-04-01 12:00:0' + i + '-0500')),
+                        comment: 'revision ' + i
+                    }
+                });
+            });
+        });
+
+        return db.createTable('domains_test', schema)
+        .then(function() {
+            return P.each(puts, function(query) {
+                return db.put('domains_test', query);
+            });
+        })
+        .then(function() {
+            // Deleted revisions don't count as the latest
+            return db.delete('domains_test', {
+                table: 'revPolicyEnforceTest',
+                attributes: {
+                    title: 'Two',
+                    tid: puts[5].attributes.tid
+                }
+            });
+        })
+        .then(function() {
+            schema.version = 2;
+            schema.revisionRetentionPolicy = {
+                type: 'latest',
+                count: 1,
+                grace_ttl: 3600
+            };
+            return db.createTable('domains_test', schema);
+        })
+        .then(function() {
+            return db.enforceRetention('domains_test', 'revPolicyEnforceTest',
+                    { dryRun: true });
+        })
+        .then(function(report) {
+            assert.deepEqual(report, { rows: 5, items: 2, expired: 3 });
+            return db.enforceRetention('domains_test', 'revPolicyEnforceTest');
+        })
+        .then(function(report) {
+            assert.deepEqual(report, { rows: 5, items: 2, expired: 3 });
+            return db.get('domains_test', {
+                table: 'revPolicyEnforceTest',
+                withTTL: true,
+                attributes: { title: 'One' }
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.items.map(function(item) {
+                return item._ttl !== null;
+            }), [false, true, true]);
+            return db.dropTable('domains_test', 'revPolicyEnforceTest',
+                    'revPolicyEnforceTest');
+        });
+    });
+
+    it('enforces retention policies on tables with ascending tids', function() {
+        var schema = {
+            table: 'revPolicyAscTest',
+            options: { durability: 'low' },
+            attributes: {
+                title: 'string',
+                tid: 'timeuuid',
+                comment: 'string'
+            },
+            index: [
+                { attribute: 'title', type: 'hash' },
+                { attribute: 'tid', type: 'range', order: 'asc' }
+            ]
+        };
+        return db.createTable('domains_test', schema)
+        .then(function() {
+            return P.each([1, 2, 3], function(i) {
+                return db.put('domains_test', {
+                    table: 'revPolicyAscTest',
+                    attributes: {
+                        title: 'One',
+                        tid: dbu.testTidFromDate(new Date('2015-04-01 12:00:0' + i + '-0500')),
+                        comment: 'revision ' + i
+                    }
+                });
+            });
+        })
+        .then(function() {
+            schema.version = 2;
+            schema.revisionRetentionPolicy = {
+                type: 'latest',
+                count: 1,
+                grace_ttl: 3600
+            };
+            return db.createTable('domains_test', schema);
+        })
+        .then(function() {
+            return db.enforceRetention('domains_test', 'revPolicyAscTest');
+        })
+        .then(function(report) {
+            assert.deepEqual(report, { rows: 3, items: 1, expired: 2 });
+            return db.get('domains_test', {
+                table: 'revPolicyAscTest',
+                withTTL: true,
+                attributes: { title: 'One' }
+            });
+        })
+        .then(function(response) {
+            // The latest revision is kept
+            assert.deepEqual(response.items.map(function(item) {
+                return item._ttl !== null;
+            }), [true, true, false]);
+            return db.dropTable('domains_test', 'revPolicyAscTest', 'revPolicyAscTest');
+        });
+    });
+
     it('defaults to retention \'all\'', function() {
         var schemaInfo = dbu.makeSchemaInfo(
                 dbu.validateAndNormalizeSchema({
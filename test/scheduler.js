@@ -0,0 +1,146 @@
+"use strict";
+
+// mocha defines to avoid JSHint breakage
+/* global describe, it, before, beforeEach, after, afterEach */
+
+var assert = require('assert');
+var P = require('bluebird');
+var Scheduler = require('../lib/scheduler');
+var BackgroundWork = require('../lib/backgroundWork').BackgroundWork;
+
+function makeScheduler(overflow, gauges, counters) {
+    return new Scheduler({
+        concurrency: 2,
+        maxQueue: 1,
+        overflow: overflow,
+        name: 'test',
+        metrics: {
+            gauge: function(name, value) { gauges[name] = value; },
+            increment: function(name) { counters[name] = (counters[name] || 0) + 1; }
+        },
+        log: function() {}
+    });
+}
+
+// A task that completes once its resolve function is called
+function deferredTask(started) {
+    var done;
+    var task = function() {
+        started.push(task);
+        return new P(function(resolve) { done = resolve; });
+    };
+    task.finish = function() {
+        if (done) { done(); }
+    };
+    return task;
+}
+
+describe('Background scheduler', function() {
+    it('limits concurrency, and sheds tasks once the queue is full', function() {
+        var gauges = {};
+        var counters = {};
+        var started = [];
+        var scheduler = makeScheduler('shed', gauges, counters);
+        var tasks = [0, 1, 2, 3].map(function() { return deferredTask(started); });
+        return P.map(tasks, function(task) {
+            return scheduler.schedule(task);
+        })
+        .then(function(scheduled) {
+            assert.deepEqual(scheduled, [true, true, true, false]);
+            assert.deepEqual(scheduler.stats(),
+                { running: 2, queued: 1, blocked: 0, dropped: 1 });
+            assert.deepEqual(gauges, { 'test.running': 2, 'test.queued': 1, 'test.blocked': 0 });
+            assert.deepEqual(counters, { 'test.dropped': 1 });
+            assert.deepEqual(started.length, 2);
+            tasks[0].finish();
+            return P.delay(10);
+        })
+        .then(function() {
+            // The queued task took the free slot
+            assert.deepEqual(started, [tasks[0], tasks[1], tasks[2]]);
+            tasks[1].finish();
+            tasks[2].finish();
+            return P.delay(10);
+        })
+        .then(function() {
+            assert.deepEqual(scheduler.stats(),
+                { running: 0, queued: 0, blocked: 0, dropped: 1 });
+        });
+    });
+
+    it('blocks callers once the queue is full', function() {
+        var started = [];
+        var scheduler = makeScheduler('block', {}, {});
+        var tasks = [0, 1, 2, 3].map(function() { return deferredTask(started); });
+        var accepted = false;
+        tasks.slice(0, 3).forEach(function(task) {
+            scheduler.schedule(task);
+        });
+        scheduler.schedule(tasks[3])
+        .then(function(scheduled) {
+            assert.deepEqual(scheduled, true);
+            accepted = true;
+        });
+        return P.delay(10)
+        .then(function() {
+            assert.deepEqual(accepted, false);
+            assert.deepEqual(scheduler.stats().blocked, 1);
+            tasks[0].finish();
+            return P.delay(10);
+        })
+        .then(function() {
+            assert.deepEqual(accepted, true);
+            assert.deepEqual(scheduler.stats(),
+                { running: 2, queued: 1, blocked: 0, dropped: 0 });
+            tasks.forEach(function(task) { task.finish(); });
+            return P.delay(10);
+        })
+        .then(function() {
+            // The last task only started once the others finished
+            tasks[3].finish();
+            return P.delay(10);
+        })
+        .then(function() {
+            assert.deepEqual(scheduler.stats().running, 0);
+        });
+    });
+
+    it('frees the slot of background work while waiting to retry', function() {
+        var scheduler = makeScheduler('shed', {}, {});
+        var attempts = 0;
+        var db = {
+            _backgroundScheduler: scheduler,
+            _backgroundUpdates: function() {
+                attempts++;
+                return attempts === 1 ? P.reject(new Error('failed')) : P.resolve();
+            },
+            log: function() {}
+        };
+        var work = new BackgroundWork(db, { retryDelay: 20 });
+        var req = {
+            keyspace: 'test',
+            client: { execute_p: function() { return P.resolve(); } },
+            extend: function() { return this; }
+        };
+        return scheduler.schedule(function() {
+            return work.run(req, { id: 'entry' });
+        })
+        .then(function() {
+            return P.delay(10);
+        })
+        .then(function() {
+            assert.deepEqual(attempts, 1);
+            assert.deepEqual(scheduler.stats().running, 0);
+            return P.delay(30);
+        })
+        .then(function() {
+            assert.deepEqual(attempts, 2);
+        });
+    });
+
+    it('rejects invalid overflow behaviour', function() {
+        assert.throws(function() {
+            makeScheduler('wait', {}, {});
+        }, /Invalid overflow behaviour: wait/);
+    });
+});
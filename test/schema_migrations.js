@@ -4,6 +4,8 @@
 /* global describe, it, before, beforeEach, after, afterEach */
 
 var assert = require('assert');
+var P = require('bluebird');
+var TimeUuid = require('cassandra-driver').types.TimeUuid;
 var dbu = require('../lib/dbutils');
 var extend = require('extend');
 var fs = require('fs');
@@ -61,7 +63,7 @@ describe('Schema migration', function() {
         return router.request({
             uri: '/restbase.cassandra.test.local/sys/table/testTable0',
             method: 'DELETE',
-            body: {}
+            body: { confirm: 'testTable0' }
         });
     });
 
@@ -177,10 +179,886 @@ describe('Schema migration', function() {
             body: newSchema
         })
         .then(function(response) {
-            assert.deepEqual(response.status, 500);
+            assert.deepEqual(response.status, 400);
+            assert.deepEqual(response.body.type,
+                    'https://restbase.org/errors/bad_request');
+            assert.ok(
+                    /is not in attributes/.test(response.body.title),
+                    'error message looks wrong');
+            assert.ok(!response.body.stack, 'stack trace leaked');
+        });
+    });
+
+    it('adds secondary indexes', function() {
+        var newSchema = clone(testTable0);
+        newSchema.version = 6;
+        newSchema.secondaryIndexes.by_comment = [
+            { attribute: 'comment', type: 'hash' }
+        ];
+
+        // Retry index queries while the index is being built
+        function queryIndex(retries) {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0/',
+                method: 'GET',
+                body: {
+                    table: 'testTable0',
+                    index: 'by_comment',
+                    attributes: {
+                        comment: 'indexed later'
+                    },
+                    proj: ['title', 'rev', 'comment']
+                }
+            })
+            .then(function(response) {
+                if (response.status === 503 && retries) {
+                    return P.delay(100).then(function() {
+                        return queryIndex(retries - 1);
+                    });
+                }
+                return response;
+            });
+        }
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0/',
+            method: 'PUT',
+            body: {
+                table: 'testTable0',
+                attributes: {
+                    title: 'Foo',
+                    rev: 1,
+                    tid: TimeUuid.now(),
+                    comment: 'indexed later'
+                }
+            }
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'PUT',
+                body: newSchema
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+            return queryIndex(50);
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(response.body.items, [{
+                title: 'Foo',
+                rev: 1,
+                comment: 'indexed later'
+            }]);
+        });
+    });
+
+    it('refuses to change secondary index definitions', function() {
+        var newSchema = clone(testTable0);
+        newSchema.version = 7;
+        newSchema.secondaryIndexes.by_rev.push({ attribute: 'author', type: 'proj' });
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'PUT',
+            body: newSchema
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 400);
+            assert.ok(
+                    /secondary index by_rev/.test(response.body.title),
+                    'error message looks wrong');
+        });
+    });
+
+    it('removes secondary indexes', function() {
+        var newSchema = clone(testTable0);
+        newSchema.version = 7;
+        newSchema.secondaryIndexes = {};
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'PUT',
+            body: newSchema
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0/',
+                method: 'GET',
+                body: {
+                    table: 'testTable0',
+                    index: 'by_rev',
+                    attributes: {
+                        rev: 1
+                    }
+                }
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 400);
+            assert.ok(/Index not found/.test(response.body.title),
+                    'error message looks wrong');
+        });
+    });
+
+    it('migrates compression options', function() {
+        var newSchema = clone(testTable0);
+        newSchema.version = 8;
+        newSchema.secondaryIndexes = {};
+        newSchema.options.compression = [
+            { algorithm: 'deflate', block_size: 256 }
+        ];
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'PUT',
+            body: newSchema
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'GET',
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(hash(response.body), hash(newSchema));
+        });
+    });
+
+    it('migrates primary indexes', function() {
+        var newSchema = clone(testTable0);
+        newSchema.version = 9;
+        newSchema.secondaryIndexes = {};
+        newSchema.options.compression = [
+            { algorithm: 'deflate', block_size: 256 }
+        ];
+        newSchema.index = [
+            { attribute: 'title', type: 'hash' },
+            { attribute: 'comment', type: 'range', order: 'asc' },
+            { attribute: 'rev', type: 'range', order: 'desc' },
+            { attribute: 'tid', type: 'range', order: 'desc' }
+        ];
+
+        // The new schema is stored once the data was copied
+        function waitForSchema(retries) {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'GET',
+            })
+            .then(function(response) {
+                if (hash(response.body) !== hash(newSchema) && retries) {
+                    return P.delay(100).then(function() {
+                        return waitForSchema(retries - 1);
+                    });
+                }
+                return response;
+            });
+        }
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'PUT',
+            body: newSchema
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+            return waitForSchema(50);
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(hash(response.body), hash(newSchema));
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0/',
+                method: 'GET',
+                body: {
+                    table: 'testTable0',
+                    attributes: {
+                        title: 'Foo',
+                        comment: 'indexed later'
+                    },
+                    proj: ['title', 'comment', 'rev']
+                }
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(response.body.items, [{
+                title: 'Foo',
+                comment: 'indexed later',
+                rev: 1
+            }]);
+        });
+    });
+
+    // The schema as of the primary index migration
+    function indexMigratedSchema(version) {
+        var newSchema = clone(testTable0);
+        newSchema.version = version;
+        newSchema.secondaryIndexes = {};
+        newSchema.options.compression = [
+            { algorithm: 'deflate', block_size: 256 }
+        ];
+        newSchema.index = [
+            { attribute: 'title', type: 'hash' },
+            { attribute: 'comment', type: 'range', order: 'asc' },
+            { attribute: 'rev', type: 'range', order: 'desc' },
+            { attribute: 'tid', type: 'range', order: 'desc' }
+        ];
+        newSchema.attributes.score = 'int';
+        return newSchema;
+    }
+
+    it('widens attribute types', function() {
+        var newSchema = indexMigratedSchema(11);
+        newSchema.attributes.score = 'varint';
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'PUT',
+            body: indexMigratedSchema(10)
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0/',
+                method: 'PUT',
+                body: {
+                    table: 'testTable0',
+                    attributes: {
+                        title: 'Bar',
+                        comment: 'scored',
+                        rev: 1,
+                        tid: TimeUuid.now(),
+                        score: 5
+                    }
+                }
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'PUT',
+                body: newSchema
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'GET',
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(hash(response.body), hash(newSchema));
+        });
+    });
+
+    it('refuses incompatible attribute type changes', function() {
+        var newSchema = indexMigratedSchema(12);
+        newSchema.attributes.score = 'timeuuid';
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'PUT',
+            body: newSchema
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 400);
             assert.ok(
-                    /is not in attributes/.test(response.body.stack),
+                    /cannot be changed from varint to timeuuid/.test(response.body.title),
                     'error message looks wrong');
         });
     });
+
+    it('converts attribute types', function() {
+        var newSchema = indexMigratedSchema(12);
+        newSchema.attributes.score = 'string';
+
+        // The new schema is stored once the data was converted
+        function waitForSchema(retries) {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'GET',
+            })
+            .then(function(response) {
+                if (hash(response.body) !== hash(newSchema) && retries) {
+                    return P.delay(100).then(function() {
+                        return waitForSchema(retries - 1);
+                    });
+                }
+                return response;
+            });
+        }
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'PUT',
+            body: newSchema
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+            return waitForSchema(50);
+        })
+        .then(function(response) {
+            assert.deepEqual(hash(response.body), hash(newSchema));
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0/',
+                method: 'GET',
+                body: {
+                    table: 'testTable0',
+                    attributes: {
+                        title: 'Bar'
+                    },
+                    proj: ['title', 'score']
+                }
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(response.body.items, [{
+                title: 'Bar',
+                score: '5'
+            }]);
+        });
+    });
+
+    it('lists the schema history', function() {
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'GET',
+            query: { history: '' }
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            var versions = response.body.items.map(function(item) {
+                return item.version;
+            });
+            assert.deepEqual(versions.slice(0, 3), [12, 11, 10]);
+
+            // Get the schema active at the tid of a previous schema
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'GET',
+                query: { at: response.body.items[1].tid }
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(response.body.version, 11);
+        });
+    });
+
+    it('rolls back schemas', function() {
+        var newSchema = indexMigratedSchema(13);
+        newSchema.attributes.score = 'string';
+        newSchema.attributes.note = 'string';
+        var previousTid;
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'GET'
+        })
+        .then(function(response) {
+            previousTid = response.headers.etag;
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'PUT',
+                body: newSchema
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'POST',
+                body: { at: previousTid }
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+            assert.deepEqual(response.body.version, 14);
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'GET'
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(response.body.version, 14);
+            assert.deepEqual(response.body.attributes.note, undefined);
+            assert.deepEqual(response.body.attributes.score, 'string');
+        });
+    });
+
+    it('refuses unsupported rollbacks', function() {
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'GET',
+            query: { history: '' }
+        })
+        .then(function(response) {
+            // Roll back to the varint score, which can't be converted back
+            var v11 = response.body.items.filter(function(item) {
+                return item.version === 11;
+            })[0];
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'POST',
+                body: { at: v11.tid }
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 400);
+            assert.ok(
+                    /cannot be changed from string to varint/.test(response.body.title),
+                    'error message looks wrong');
+        });
+    });
+
+    it('plans migrations in dry runs', function() {
+        var newSchema = indexMigratedSchema(15);
+        newSchema.attributes.score = 'string';
+        newSchema.attributes.note = 'string';
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'PUT',
+            query: { dry_run: '' },
+            body: newSchema
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(response.body.steps, [
+                { action: 'add_column', column: 'note', type: 'string', field: 'attributes' },
+                { action: 'set_version', from: 14, to: 15, field: 'version' }
+            ]);
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'GET'
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.body.version, 14);
+        });
+    });
+
+    it('reports failing fields in dry runs', function() {
+        var newSchema = indexMigratedSchema(15);
+        newSchema.attributes.score = 'timeuuid';
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'PUT',
+            query: { dry_run: '' },
+            body: newSchema
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 400);
+            assert.deepEqual(response.body.field, 'attributes');
+            assert.ok(/cannot be changed from string to timeuuid/.test(response.body.reason),
+                    'error message looks wrong');
+        });
+    });
+
+    it('migrates table properties', function() {
+        var newSchema = indexMigratedSchema(15);
+        newSchema.attributes.score = 'string';
+        newSchema.options.compaction = {
+            class: 'date_tiered',
+            base_time_seconds: 3600
+        };
+        newSchema.options.gc_grace_seconds = 3600;
+        newSchema.options.default_time_to_live = 86400;
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'PUT',
+            body: newSchema
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'GET',
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(hash(response.body), hash(newSchema));
+        });
+    });
+
+    function ageRetentionSchema(version) {
+        var newSchema = indexMigratedSchema(version);
+        newSchema.attributes.score = 'string';
+        newSchema.options.compaction = {
+            class: 'date_tiered',
+            base_time_seconds: 3600
+        };
+        newSchema.options.gc_grace_seconds = 3600;
+        newSchema.options.default_time_to_live = 86400;
+        newSchema.revisionRetentionPolicy = {
+            type: 'age',
+            max_age: 90 * 86400,
+            count: 1,
+            grace_ttl: 86400
+        };
+        return newSchema;
+    }
+
+    it('migrates to age retention policies', function() {
+        var newSchema = ageRetentionSchema(16);
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'PUT',
+            query: { dry_run: '' },
+            body: newSchema
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(response.body.steps[0].action, 'change_retention_policy');
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'PUT',
+                body: newSchema
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'GET',
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(hash(response.body), hash(newSchema));
+        });
+    });
+
+    it('picks up schema changes made by other processes', function() {
+        var newSchema = ageRetentionSchema(17);
+        newSchema.attributes.reviewer = 'string';
+        var conf = yaml.safeLoad(fs.readFileSync(__dirname + '/test_router.conf.yaml'));
+        conf.schemaRefreshInterval = 1;
+        var otherDB;
+        var tid = TimeUuid.now();
+
+        return makeClient({
+            log: function() {},
+            conf: conf
+        })
+        .then(function(db) {
+            otherDB = db;
+            // Cache the current schema
+            return otherDB.get('restbase.cassandra.test.local', {
+                table: 'testTable0',
+                attributes: { title: 'Schema refresh' }
+            });
+        })
+        .then(function() {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'PUT',
+                body: newSchema
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+            return P.delay(5);
+        })
+        .then(function() {
+            return otherDB.put('restbase.cassandra.test.local', {
+                table: 'testTable0',
+                attributes: {
+                    title: 'Schema refresh',
+                    comment: 'refreshed',
+                    rev: 1,
+                    tid: tid,
+                    reviewer: 'someone'
+                }
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+            return otherDB.get('restbase.cassandra.test.local', {
+                table: 'testTable0',
+                attributes: { title: 'Schema refresh' }
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.items.length, 1);
+            // Not dropped based on the outdated schema
+            assert.deepEqual(response.items[0].reviewer, 'someone');
+            return otherDB.client.shutdown_p();
+        });
+    });
+
+    it('picks up index builds completed by other processes', function() {
+        var newSchema = ageRetentionSchema(18);
+        newSchema.attributes.reviewer = 'string';
+        newSchema.secondaryIndexes = {
+            by_reviewer: [
+                { attribute: 'reviewer', type: 'hash' }
+            ]
+        };
+        var conf = yaml.safeLoad(fs.readFileSync(__dirname + '/test_router.conf.yaml'));
+        conf.schemaRefreshInterval = 1;
+        var otherDB;
+        var indexQuery = {
+            table: 'testTable0',
+            index: 'by_reviewer',
+            attributes: { reviewer: 'someone' },
+            proj: ['title']
+        };
+
+        // Retry index queries while the index is being built
+        function queryIndex(retries) {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0/',
+                method: 'GET',
+                body: indexQuery
+            })
+            .then(function(response) {
+                if (response.status === 503 && retries) {
+                    return P.delay(100).then(function() {
+                        return queryIndex(retries - 1);
+                    });
+                }
+                return response;
+            });
+        }
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'PUT',
+            body: newSchema
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+            return makeClient({
+                log: function() {},
+                conf: conf
+            });
+        })
+        .then(function(db) {
+            otherDB = db;
+            // Cache the schema, most likely while the index is building
+            return otherDB.get('restbase.cassandra.test.local', {
+                table: 'testTable0',
+                attributes: { title: 'Schema refresh' }
+            });
+        })
+        .then(function() {
+            return queryIndex(50);
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            return P.delay(5);
+        })
+        .then(function() {
+            return otherDB.get('restbase.cassandra.test.local', indexQuery);
+        })
+        .then(function(response) {
+            assert.deepEqual(response.items, [{ title: 'Schema refresh' }]);
+            return otherDB.client.shutdown_p();
+        });
+    });
+
+    it('drops the shadow column family of failed migrations', function() {
+        var indexlessSchema = ageRetentionSchema(19);
+        indexlessSchema.attributes.reviewer = 'string';
+        var newSchema = clone(indexlessSchema);
+        newSchema.version = 20;
+        // Most rows have no reviewer, so they can't be copied
+        newSchema.index.splice(1, 0, { attribute: 'reviewer', type: 'range', order: 'asc' });
+        var conf = yaml.safeLoad(fs.readFileSync(__dirname + '/test_router.conf.yaml'));
+        var otherDB;
+
+        // The shadow column family exists until the migration failed
+        function waitForDrop(keyspace, retries) {
+            return otherDB.client.execute_p('SELECT columnfamily_name FROM '
+                + 'system.schema_columnfamilies WHERE keyspace_name=? '
+                + 'and columnfamily_name=?', [keyspace, 'data_v20'])
+            .then(function(res) {
+                if (res.rows.length && retries) {
+                    return P.delay(100).then(function() {
+                        return waitForDrop(keyspace, retries - 1);
+                    });
+                }
+                return res.rows.length;
+            });
+        }
+
+        return makeClient({
+            log: function() {},
+            conf: conf
+        })
+        .then(function(db) {
+            otherDB = db;
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'PUT',
+                body: indexlessSchema
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'PUT',
+                body: newSchema
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+            return waitForDrop(otherDB._keyspaceName('restbase.cassandra.test.local',
+                    'testTable0'), 50);
+        })
+        .then(function(remaining) {
+            assert.deepEqual(remaining, 0);
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'GET',
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(response.body.version, 19);
+            return otherDB.client.shutdown_p();
+        });
+    });
+
+    it('converts attributes covered by secondary indexes', function() {
+        var indexedSchema = ageRetentionSchema(21);
+        indexedSchema.attributes.reviewer = 'string';
+        indexedSchema.attributes.rating = 'int';
+        indexedSchema.secondaryIndexes = {
+            by_rating: [
+                { attribute: 'rating', type: 'hash' },
+                { attribute: 'comment', type: 'proj' }
+            ]
+        };
+        var newSchema = clone(indexedSchema);
+        newSchema.version = 22;
+        newSchema.attributes.rating = 'string';
+
+        // The new schema is stored once the data was converted, and the
+        // index is refused for reads until it was rebuilt
+        function queryIndex(retries) {
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0/',
+                method: 'GET',
+                body: {
+                    table: 'testTable0',
+                    index: 'by_rating',
+                    attributes: { rating: '5' },
+                    proj: ['title', 'comment']
+                }
+            })
+            .then(function(response) {
+                if ((response.status === 400 || response.status === 503) && retries) {
+                    return P.delay(100).then(function() {
+                        return queryIndex(retries - 1);
+                    });
+                }
+                return response;
+            });
+        }
+
+        return router.request({
+            uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+            method: 'PUT',
+            body: indexedSchema
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0/',
+                method: 'PUT',
+                body: {
+                    table: 'testTable0',
+                    attributes: {
+                        title: 'Backfill',
+                        comment: 'rated',
+                        rev: 1,
+                        tid: TimeUuid.now(),
+                        rating: 5
+                    }
+                }
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'PUT',
+                query: { dry_run: '' },
+                body: newSchema
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            var actions = response.body.steps.map(function(step) {
+                return step.action;
+            });
+            assert.deepEqual(actions, ['convert_column', 'set_version',
+                'backfill_columns', 'rebuild_index']);
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0',
+                method: 'PUT',
+                body: newSchema
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 201);
+            return queryIndex(100);
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(response.body.items, [{
+                title: 'Backfill',
+                comment: 'rated'
+            }]);
+            return router.request({
+                uri: '/restbase.cassandra.test.local/sys/table/testTable0/',
+                method: 'GET',
+                body: {
+                    table: 'testTable0',
+                    attributes: { title: 'Backfill' },
+                    proj: ['title', 'rating']
+                }
+            });
+        })
+        .then(function(response) {
+            assert.deepEqual(response.status, 200);
+            assert.deepEqual(response.body.items, [{
+                title: 'Backfill',
+                rating: '5'
+            }]);
+        });
+    });
 });
@@ -0,0 +1,83 @@
+"use strict";
+
+// mocha defines to avoid JSHint breakage
+/* global describe, it, before, beforeEach, after, afterEach */
+
+var assert = require('assert');
+var P = require('bluebird');
+var extend = require('extend');
+var cass = require('cassandra-driver');
+var TimeUuid = cass.types.TimeUuid;
+var dbu = require('../lib/dbutils');
+var IndexBuilder = require('../lib/secondaryIndexes').IndexBuilder;
+
+var schema = dbu.makeSchemaInfo({
+    table: 'indexedTable',
+    attributes: {
+        key: 'string',
+        tid: 'timeuuid',
+        value: 'string'
+    },
+    index: [
+        { attribute: 'key', type: 'hash' },
+        { attribute: 'tid', type: 'range', order: 'desc' }
+    ],
+    secondaryIndexes: {
+        by_value: [
+            { attribute: 'value', type: 'hash' }
+        ]
+    }
+});
+
+// A request whose index writes fail
+function failingRequest() {
+    var client = {
+        execute_p: function(cql) {
+            if (/^select/.test(cql)) {
+                return P.resolve({
+                    rows: [{
+                        _token: '1',
+                        _domain: 'restbase.cassandra.test.local',
+                        key: 'key',
+                        tid: TimeUuid.now(),
+                        value: 'value'
+                    }],
+                    pageState: null
+                });
+            }
+            return P.reject(new Error('write failed'));
+        }
+    };
+    return {
+        keyspace: 'indexedTable',
+        columnfamily: 'data',
+        client: client,
+        schema: schema,
+        extend: function(options) {
+            return extend({}, this, options);
+        }
+    };
+}
+
+describe('Index builds', function() {
+    it('marks builds with failed index writes as failed', function() {
+        var states = [];
+        var db = {
+            log: function() {},
+            _saveIndexBuild: function(req, index, state) {
+                states.push(state);
+                return P.resolve();
+            }
+        };
+        var builder = new IndexBuilder(db, failingRequest(), 'by_value');
+        return builder.run()
+        .then(function(completed) {
+            assert.deepEqual(completed, false);
+            assert.deepEqual(states, [{
+                status: 'failed',
+                token: null,
+                failures: 1
+            }]);
+        });
+    });
+});